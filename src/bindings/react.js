@@ -1,36 +1,65 @@
 // Binding for using store with React.js
-import { useState, useEffect } from "react";
+import { createContext, createElement, useContext, useState, useEffect } from "react";
 import { createStore } from "../store/index.js";
 import { inherit } from "../store/utils.js";
 
-function createReactStore(initState) {
-  const store = createStore(initState);
+// store provided to components, the default global store is used if none,
+// a store should be created and provided for each request when rendering on server
+const StoreContext = createContext(null);
+
+function createReactStore(initState, options) {
+  const store = createStore(initState, options);
 
   return inherit(store, {
     useSelector(selector, isSame = Object.is) {
-      const [value, setValue] = useState(store.select(selector));
-
-      useEffect(
-        () => store.subscribe(state => {
-          const newValue = selector(state);
-          setValue(v => isSame(v, newValue) ? v : newValue);
-        }),
-        [selector, isSame]
-      );
-
-      return value;
+      return useStoreSelector(store, selector, isSame);
     },
   });
 }
 
+function useStoreSelector(store, selector, isSame) {
+  const [value, setValue] = useState(() => store.select(selector));
+
+  useEffect(
+    () => store.subscribe(state => {
+      const newValue = selector(state);
+      setValue(v => isSame(v, newValue) ? v : newValue);
+    }),
+    [store, selector, isSame]
+  );
+
+  return value;
+}
+
+// provide store to components rendered inside
+function StoreProvider({ store, children }) {
+  return createElement(StoreContext.Provider, { value: store }, children);
+}
+
+// store provided, or the default global store
+function useStore() {
+  return useContext(StoreContext) || reactStore;
+}
+
+function useSelector(selector, isSame = Object.is) {
+  return useStoreSelector(useStore(), selector, isSame);
+}
+
+function useDispatch() {
+  return useStore().dispatch;
+}
+
 // default global store
 const reactStore = createReactStore();
-const { dispatch, select, useSelector } = reactStore;
+const { dispatch, select } = reactStore;
 
 export {
   createReactStore as createStore,
   reactStore as store,
+  StoreProvider,
+  useStore,
   useSelector,
+  useDispatch,
   dispatch,
   select,
 };
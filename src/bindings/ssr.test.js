@@ -0,0 +1,73 @@
+import test from "tape";
+import React from "react";
+import { hydrate } from "react-dom";
+import { renderToString } from "react-dom/server.js";
+import globalJsDom from "global-jsdom";
+import { fireEvent, findByText } from "@testing-library/react";
+
+import { createStore, renderStateScript, readState } from "../store/index.js";
+import { StoreProvider, useSelector, useDispatch, store as globalStore } from "./react.js";
+
+const h = React.createElement;
+
+test("server-side rendering", async (t) => {
+  const selectTodos = (state) => state.todos;
+  const selectUpdated = (state) => state.updated;
+
+  function Todos() {
+    const todos = useSelector(selectTodos);
+    const updated = useSelector(selectUpdated);
+    const dispatch = useDispatch();
+    const add = () => dispatch((state) => {
+      state.todos.set(state.todos.size + 1, "new");
+    });
+    return h("div", null,
+      h("ul", null, [...todos.entries()].map(([id, title]) => h("li", { key: id }, title))),
+      h("time", null, updated.toISOString()),
+      h("button", { onClick: add }, `${todos.size} todos`)
+    );
+  }
+
+  // render a page for a request with its own store
+  async function renderPage(title) {
+    const store = createStore({ todos: new Map([[1, title]]), updated: new Date(0) });
+    // async work of request, e.g. fetching data
+    await Promise.resolve();
+    const app = renderToString(h(StoreProvider, { store }, h(Todos)));
+    return `<!DOCTYPE html><body><div id="root">${app}</div>${renderStateScript(store)}</body>`;
+  }
+
+  const malicious = "</script><script>window.hacked = true</script>";
+  const [page, otherPage] = await Promise.all([renderPage(malicious), renderPage("other")]);
+  t.ok(otherPage.includes("other") && !otherPage.includes("hacked"), "stores of requests are isolated");
+  t.ok(!page.includes("other"), "stores of requests are isolated");
+  t.equal(globalStore.getState().todos, undefined, "global store is not used");
+
+  const cleanup = globalJsDom(page, { runScripts: "dangerously" });
+  try {
+    t.equal(document.querySelectorAll("script").length, 1, "state can not end script element");
+    t.equal(window.hacked, undefined, "state is not run as script");
+
+    const state = readState();
+    t.ok(state.todos instanceof Map && state.updated instanceof Date, "restores Map and Date");
+    t.equal(state.todos.get(1), malicious, "restores state rendered on server");
+
+    const errors = [];
+    const consoleError = console.error;
+    console.error = (...args) => errors.push(args);
+
+    const root = document.getElementById("root");
+    const html = root.innerHTML;
+    const store = createStore(state);
+    hydrate(h(StoreProvider, { store }, h(Todos)), root);
+    console.error = consoleError;
+
+    t.deepEqual(errors, [], "hydrates without mismatch");
+    t.equal(root.innerHTML, html, "keeps markup rendered on server");
+
+    fireEvent.click(root.querySelector("button"));
+    t.ok(await findByText(root, "2 todos"), "client store works after hydration");
+  } finally {
+    cleanup();
+  }
+});
@@ -0,0 +1,213 @@
+// Binding for running store in a worker, mirrored read-only in main thread
+import { createStore } from "../store/index.js";
+import { serialize, deserialize } from "../store/serialize.js";
+import { isInSet } from "../store/paths.js";
+import { noop } from "../store/utils.js";
+
+/**
+ * Host store in worker, mirror stores connected to the port get state and
+ * changes of it, and can dispatch actions registered by name; as functions
+ * can't be sent between threads, args must be serializable.
+ */
+export function hostStore(store, port, { actions = {}, classes } = {}) {
+  let patches = []; // changes made by actions not sent yet
+  let patchedState = null; // state after the last change recorded
+  let sentState = null; // state mirrors have
+  const dispatched = new Map(); // id => dispatched action, for cancelling
+  let destroyed = false; // middleware can't be removed, stop recording then
+
+  const post = (message) => port.postMessage(serialize(message));
+
+  store.addMiddlewares(() => ({
+    patched(action, args, changes) {
+      if (destroyed) {
+        return;
+      }
+      patches.push(...changes);
+      patchedState = store.getState();
+    },
+  }));
+
+  // send changes once they are committed
+  const unsubscribe = store.subscribe(() => flush());
+
+  const unlisten = listen(port, (data) => {
+    const { type, id, name, args } = deserialize(data, { classes });
+    switch (type) {
+      case "connect":
+        sendState();
+        break;
+      case "dispatch":
+        dispatch(id, name, args);
+        break;
+      case "cancel":
+        dispatched.get(id)?.cancel();
+        break;
+      default:
+    }
+  });
+
+  return Object.freeze({
+    destroy() {
+      destroyed = true;
+      patches = [];
+      unlisten();
+      unsubscribe();
+    },
+  });
+
+  function dispatch(id, name, args) {
+    // either given or defined in store
+    const action = Object.hasOwn(actions, name) ? actions[name] : store.getAction(name);
+    if (typeof action !== "function") {
+      post({ type: "result", id, error: { message: `Unknown action: ${name}` } });
+      return;
+    }
+    const promise = store.dispatch(action, ...args);
+    dispatched.set(id, promise);
+    promise.then(
+      (value) => {
+        // mirror gets changes before the result
+        flush();
+        post({ type: "result", id, value });
+      },
+      (error) => {
+        flush();
+        post({ type: "result", id, error: { name: error?.name, message: error?.message ?? String(error) } });
+      }
+    ).finally(() => dispatched.delete(id));
+  }
+
+  function flush() {
+    const state = store.getState();
+    if (state === sentState) {
+      return;
+    }
+    // setState() and applyPatches() bypass middlewares,
+    // state may have been changed by them, send whole state then
+    if (state !== patchedState || patches.some(patch => isInSet(state, patch.path))) {
+      sendState();
+    } else {
+      post({ type: "patches", patches });
+      patches = [];
+      sentState = state;
+    }
+  }
+
+  function sendState() {
+    patches = [];
+    sentState = store.getState();
+    post({ type: "state", state: sentState });
+  }
+}
+
+// slice of mirror without the methods changing state,
+// changes are only made by host
+function readOnlySlice(slice) {
+  return Object.freeze({
+    path: slice.path,
+    getState: slice.getState,
+    select: slice.select,
+    subscribe: slice.subscribe,
+    slice: (path) => readOnlySlice(slice.slice(path)),
+  });
+}
+
+/**
+ * Create a read-only mirror of the store hosted in the other end of port;
+ * `select` and `subscribe` work synchronously on the mirrored state, while
+ * `dispatch` sends the name of action and args to the host.
+ */
+export function createRemoteStore(port, { initState = {}, classes } = {}) {
+  const mirror = createStore(initState);
+  const pending = new Map(); // id => deferred of dispatched action
+  let nextId = 1;
+  let resolveReady;
+  const ready = new Promise(resolve => resolveReady = resolve);
+
+  const post = (message) => port.postMessage(serialize(message));
+
+  const unlisten = listen(port, (data) => {
+    const message = deserialize(data, { classes });
+    switch (message.type) {
+      case "state":
+        mirror.setState(message.state);
+        resolveReady();
+        break;
+      case "patches":
+        mirror.applyPatches(message.patches);
+        break;
+      case "result":
+        settle(message);
+        break;
+      default:
+    }
+  });
+  post({ type: "connect" });
+
+  return Object.freeze({
+    // resolved once state is received from host
+    ready,
+    getState: mirror.getState,
+    select: mirror.select,
+    subscribe: mirror.subscribe,
+    slice: (path) => readOnlySlice(mirror.slice(path)),
+
+    dispatch(name, ...args) {
+      const id = nextId++;
+      let deferred;
+      const promise = new Promise((resolve, reject) => deferred = { resolve, reject });
+      pending.set(id, { ...deferred, promise });
+      post({ type: "dispatch", id, name, args });
+      return Object.assign(promise, {
+        cancel: () => pending.has(id) && post({ type: "cancel", id }),
+      });
+    },
+
+    // state is synced again from host
+    resync() {
+      post({ type: "connect" });
+    },
+
+    destroy() {
+      unlisten();
+      pending.forEach(({ promise, reject }) => {
+        // not to be an unhandled rejection if nobody is waiting for it
+        promise.catch(noop);
+        reject(new Error("Store has been destroyed!"));
+      });
+      pending.clear();
+      mirror.destroy();
+    },
+  });
+
+  function settle({ id, value, error }) {
+    const deferred = pending.get(id);
+    if (deferred) {
+      pending.delete(id);
+      if (error) {
+        deferred.reject(Object.assign(new Error(error.message), { name: error.name || "Error" }));
+      } else {
+        deferred.resolve(value);
+      }
+    }
+  }
+}
+
+// listen to messages of port, returns a function to stop listening
+function listen(port, handler) {
+  if (port.addEventListener) {
+    const listener = (event) => handler(event.data);
+    port.addEventListener("message", listener);
+    // needed by MessagePort in browsers
+    port.start?.();
+    return () => port.removeEventListener("message", listener);
+  }
+  if (port.on) {
+    // worker_threads Worker is an EventEmitter
+    port.on("message", handler);
+    return () => port.off("message", handler);
+  }
+  port.onmessage = (event) => handler(event.data);
+  return () => port.onmessage = noop;
+}
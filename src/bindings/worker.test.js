@@ -0,0 +1,140 @@
+import test from "tape";
+import { MessageChannel, Worker } from "node:worker_threads";
+
+import { createStore } from "../store/index.js";
+import { tick } from "../test-utils.js";
+import { hostStore, createRemoteStore } from "./worker.js";
+
+test("worker", async (t) => {
+  const actions = {
+    add(state, title) {
+      state.todos.set(state.todos.size + 1, { title, tags: new Set() });
+      return state.todos.size;
+    },
+    tag(state, id, tag) {
+      state.todos.get(id).tags.add(tag);
+    },
+    async slow(state) {
+      await tick(50);
+      state.slow = true;
+    },
+    fail() {
+      throw new TypeError("failed");
+    },
+  };
+
+  // mirror of store hosted on other port of a channel, disconnected when test ends
+  function connect(tt, store) {
+    const { port1, port2 } = new MessageChannel();
+    const host = hostStore(store, port1, { actions });
+    const remote = createRemoteStore(port2);
+    tt.teardown(() => {
+      remote.destroy();
+      host.destroy();
+      port1.close();
+    });
+    return remote;
+  }
+
+  t.test("mirrors state of hosted store", async (tt) => {
+    const store = createStore({ todos: new Map() });
+    const remote = connect(tt, store);
+    await remote.ready;
+    tt.ok(remote.getState().todos instanceof Map, "gets state once connected");
+
+    const titles = [];
+    remote.subscribe((state) => state.todos.get(1)?.title, (title) => titles.push(title));
+
+    tt.equal(await remote.dispatch("add", "todo"), 1, "resolves with result of action");
+    tt.deepEqual(remote.select((state) => state.todos.get(1).title), "todo",
+      "changes are mirrored before result");
+    await remote.dispatch("tag", 1, "tag");
+    tt.deepEqual([...remote.getState().todos.get(1).tags.values()], ["tag"], "mirrors changes of Set");
+
+    store.setState({ todos: new Map([[1, { title: "set", tags: new Set() }]]) });
+    await tick(10);
+    tt.equal(remote.getState().todos.get(1).title, "set", "mirrors state set in host");
+    tt.deepEqual(titles, ["todo", "set"], "notifies subscribers");
+
+    tt.notOk("setState" in remote || "applyPatches" in remote, "mirror is read-only");
+    const todos = remote.slice("todos");
+    tt.notOk("setState" in todos || "dispatch" in todos || "transaction" in todos, "slices are read-only");
+    tt.equal(todos.getState(), remote.getState().todos);
+    tt.notOk("setState" in todos.slice(1), "sub-slices too");
+  });
+
+  t.test("dispatches actions defined in store by type", async (tt) => {
+    const store = createStore({ todos: new Map() });
+    const remote = connect(tt, store);
+    const todos = store.defineActions({
+      clear(state) {
+        state.todos.clear();
+      },
+    }, { namespace: "todos" });
+    await remote.dispatch("add", "todo");
+    await remote.dispatch(todos.clear.type);
+    tt.equal(remote.getState().todos.size, 0);
+  });
+
+  t.test("rejects failed or cancelled actions", async (tt) => {
+    const remote = connect(tt, createStore({ todos: new Map() }));
+    await remote.dispatch("fail").catch(error => {
+      tt.equal(error.name, "TypeError");
+      tt.equal(error.message, "failed");
+    });
+    await remote.dispatch("unknown").catch(error => {
+      tt.equal(error.message, "Unknown action: unknown");
+    });
+    await remote.dispatch("toString").catch(error => {
+      tt.equal(error.message, "Unknown action: toString", "only own actions");
+    });
+
+    const slow = remote.dispatch("slow");
+    await tick(10);
+    slow.cancel();
+    await slow.catch(error => tt.equal(error.message, "Action has been cancelled!"));
+  });
+
+  t.test("rejects pending actions when destroyed", async (tt) => {
+    const remote = connect(tt, createStore({ todos: new Map() }));
+    const unhandled = [];
+    const onUnhandled = (reason) => unhandled.push(reason);
+    process.on("unhandledRejection", onUnhandled);
+    tt.teardown(() => process.off("unhandledRejection", onUnhandled));
+
+    await remote.ready;
+    const waited = remote.dispatch("slow");
+    remote.dispatch("slow"); // not waited
+    remote.destroy();
+    await waited.catch(error => tt.equal(error.message, "Store has been destroyed!"));
+    await tick(10);
+    tt.deepEqual(unhandled, [], "not unhandled if nobody is waiting");
+  });
+
+  t.test("hosts store in a worker thread", async (tt) => {
+    const storeUrl = new URL("../store/index.js", import.meta.url).href;
+    const workerUrl = new URL("./worker.js", import.meta.url).href;
+    const worker = new Worker(`
+      const { parentPort } = require("node:worker_threads");
+      Promise.all([import(${JSON.stringify(storeUrl)}), import(${JSON.stringify(workerUrl)})])
+        .then(([{ createStore }, { hostStore }]) => {
+          const store = createStore({ count: 0 });
+          hostStore(store, parentPort, {
+            actions: { increase: (state, by) => { state.count += by; } },
+          });
+          parentPort.postMessage("ready");
+        });
+    `, { eval: true });
+
+    try {
+      await new Promise(resolve => worker.once("message", resolve));
+      const remote = createRemoteStore(worker);
+      await remote.ready;
+      await remote.dispatch("increase", 2);
+      tt.deepEqual(remote.getState(), { count: 2 });
+      remote.destroy();
+    } finally {
+      await worker.terminate();
+    }
+  });
+});
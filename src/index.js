@@ -1,8 +1,46 @@
-export { createStore } from "./store/index.js";
+export {
+  createStore,
+  createSelector,
+  createResources,
+  invalidates,
+  createEntityAdapter,
+  assertMigrations,
+  versionKey,
+  serialize,
+  deserialize,
+  serializeForScript,
+  renderStateScript,
+  readState,
+} from "./store/index.js";
 
 export {
   store as reactStore,
+  StoreProvider,
   createStore as createReactStore
 } from "./bindings/react.js";
 
+export { hostStore, createRemoteStore } from "./bindings/worker.js";
+
 export { default as reduxDevToolsMiddleware } from "./middlewares/redux-devtools.js"
+export { default as historyMiddleware } from "./middlewares/history.js"
+export { default as persistMiddleware } from "./middlewares/persist.js"
+export { default as syncMiddleware } from "./middlewares/sync.js"
+export {
+  default as effectsMiddleware,
+  takeEvery,
+  takeLatest,
+  takeLeading,
+  debounce,
+  throttle,
+} from "./middlewares/effects.js"
+export {
+  default as sagaMiddleware,
+  call,
+  put,
+  select,
+  delay,
+  race,
+  all,
+  take,
+} from "./middlewares/saga.js"
+export { default as optimisticMiddleware, optimistic } from "./middlewares/optimistic.js"
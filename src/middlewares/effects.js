@@ -0,0 +1,155 @@
+import { matchAction } from "../store/actions.js";
+
+// Effects triggered by actions, workers are dispatched as normal actions
+export default function effectsMiddleware(...watchers) {
+  return (store) => {
+    const effects = watchers.flat().map(watcher => watcher({
+      // dispatch worker, returns the run
+      run(worker, args, onError) {
+        const run = { cancelled: false, promise: store.dispatch(worker, ...args) };
+        run.done = run.promise.catch((error) => run.cancelled || onError(error));
+        return run;
+      },
+
+      cancel(run) {
+        if (run && !run.cancelled) {
+          run.cancelled = true;
+          run.promise.cancel();
+        }
+      },
+    }));
+
+    return {
+      execute(action, args, next) {
+        next(action, args);
+        effects.forEach(effect => effect.take(action, args));
+      },
+
+      destroy() {
+        effects.forEach(effect => effect.destroy());
+      }
+    };
+  };
+}
+
+/**
+ * Run worker for every action matched.
+ */
+export function takeEvery(pattern, worker, options) {
+  return createWatcher(pattern, options, (runner) => ({
+    take(args) {
+      runner.run(worker, args);
+    },
+  }));
+}
+
+/**
+ * Run worker for action matched, cancelling the previous run if not done.
+ */
+export function takeLatest(pattern, worker, options) {
+  return createWatcher(pattern, options, (runner) => {
+    let last = null;
+    return {
+      take(args) {
+        runner.cancel(last);
+        last = runner.run(worker, args);
+      },
+      destroy() {
+        runner.cancel(last);
+      },
+    };
+  });
+}
+
+/**
+ * Run worker for action matched, ignoring actions until the run is done.
+ */
+export function takeLeading(pattern, worker, options) {
+  return createWatcher(pattern, options, (runner) => {
+    let running = null;
+    return {
+      take(args) {
+        if (!running) {
+          const run = running = runner.run(worker, args);
+          run.done.finally(() => running === run && (running = null));
+        }
+      },
+      destroy() {
+        runner.cancel(running);
+      },
+    };
+  });
+}
+
+/**
+ * Run worker after no action is matched for `ms`, with args of the last one.
+ */
+export function debounce(ms, pattern, worker, options) {
+  return createWatcher(pattern, options, (runner) => {
+    let timer;
+    return {
+      take(args) {
+        clearTimeout(timer);
+        timer = setTimeout(() => runner.run(worker, args), ms);
+      },
+      destroy() {
+        clearTimeout(timer);
+      },
+    };
+  });
+}
+
+/**
+ * Run worker for action matched, then at most once every `ms`;
+ * the last action matched in between is run at the end of period.
+ */
+export function throttle(ms, pattern, worker, options) {
+  return createWatcher(pattern, options, (runner) => {
+    let timer = null;
+    let pending = null; // args of the last action in current period
+    const start = () => {
+      timer = setTimeout(() => {
+        timer = null;
+        if (pending) {
+          runner.run(worker, pending);
+          pending = null;
+          start();
+        }
+      }, ms);
+    };
+    return {
+      take(args) {
+        if (timer) {
+          pending = args;
+        } else {
+          runner.run(worker, args);
+          start();
+        }
+      },
+      destroy() {
+        clearTimeout(timer);
+      },
+    };
+  });
+}
+
+// create a watcher of actions matching pattern, scheduled by strategy
+function createWatcher(pattern, {
+  onError = (error) => console.error("Error running effect", error),
+} = {}, strategy) {
+  const matches = matchAction(pattern);
+  return (runner) => {
+    const { take, destroy } = strategy({
+      run: (worker, args) => runner.run(worker, args, onError),
+      cancel: runner.cancel,
+    });
+    return {
+      take(action, args) {
+        matches(action) && take(args);
+      },
+      destroy() {
+        destroy?.();
+      },
+    };
+  };
+}
@@ -0,0 +1,161 @@
+import test from "tape";
+
+import { createStore } from "../store/index.js";
+import { tick, createStoreWith } from "../test-utils.js";
+import effectsMiddleware, { takeEvery, takeLatest, takeLeading, debounce, throttle } from "./effects.js";
+
+test("effectsMiddleware", async (t) => {
+  const search = function search(state, query) {
+    state.query = query;
+  };
+
+  t.test("takeEvery runs worker for every action matched", async (tt) => {
+    const store = createStoreWith({ query: "", searched: [], other: 0 }, effectsMiddleware(
+      takeEvery(search, (state, query) => { state.searched.push(query); }),
+      takeEvery("other", (state) => { state.other++; }),
+    ));
+    store.dispatch(search, "a");
+    store.dispatch(search, "b");
+    store.dispatch(function other() {});
+    store.dispatch(function unrelated() {});
+    await tick();
+    tt.deepEqual(store.getState(), { query: "b", searched: ["a", "b"], other: 1 });
+    tt.end();
+  });
+
+  t.test("matches actions by type, action, dispatcher or an array of them", async (tt) => {
+    const calls = [];
+    const store = createStore({ todos: { count: 0 } });
+    const todos = store.defineActions({
+      add(state) {
+        state.todos.count++;
+      },
+    }, { namespace: "todos" });
+    const clear = (todos) => { todos.count = 0; };
+    store.addMiddlewares(effectsMiddleware([
+      takeEvery("todos/add", () => { calls.push("type"); }),
+      takeEvery(todos.add, () => { calls.push("dispatcher"); }),
+      takeEvery([todos.add.action, clear], () => { calls.push("array"); }),
+    ]));
+
+    todos.add();
+    await tick();
+    tt.deepEqual(calls, ["type", "dispatcher", "array"]);
+
+    store.slice("todos").dispatch(clear);
+    await tick();
+    tt.deepEqual(calls.slice(3), ["array"], "actions dispatched to slices");
+    tt.end();
+  });
+
+  t.test("takeLatest cancels the previous run", async (tt) => {
+    const signals = [];
+    const store = createStoreWith({ query: "", results: null, loading: 0 }, effectsMiddleware(
+      takeLatest(search, async function fetchResults(state, query) {
+        signals.push(this.signal);
+        state.loading++;
+        await tick(20);
+        state.results = `results of ${query}`;
+        await tick(20);
+        state.loading--;
+      }),
+    ));
+    store.dispatch(search, "a");
+    await tick(30);
+    tt.equal(store.getState().results, "results of a");
+
+    store.dispatch(search, "b");
+    await tick(10);
+    store.dispatch(search, "c");
+    await tick(80);
+    tt.ok(signals[0].aborted && signals[1].aborted, "previous runs are cancelled");
+    tt.notOk(signals[2].aborted);
+    tt.deepEqual(store.getState(), { query: "c", results: "results of c", loading: 2 },
+      "only changes made before cancelled are kept");
+    tt.end();
+  });
+
+  t.test("takeLeading ignores actions while running", async (tt) => {
+    const runs = [];
+    const store = createStoreWith({ query: "" }, effectsMiddleware(
+      takeLeading(search, async (state, query) => {
+        runs.push(query);
+        await tick(10);
+      }),
+    ));
+    store.dispatch(search, "a");
+    await tick();
+    store.dispatch(search, "b");
+    await tick(20);
+    store.dispatch(search, "c");
+    await tick();
+    tt.deepEqual(runs, ["a", "c"]);
+    tt.end();
+  });
+
+  t.test("debounce runs worker after actions stop for a while", async (tt) => {
+    const runs = [];
+    const store = createStoreWith({ query: "" }, effectsMiddleware(
+      debounce(20, search, (state, query) => { runs.push(query); }),
+    ));
+    store.dispatch(search, "a");
+    await tick(5);
+    store.dispatch(search, "ab");
+    await tick(5);
+    store.dispatch(search, "abc");
+    await tick(10);
+    tt.deepEqual(runs, [], "not run until actions stop");
+    await tick(30);
+    tt.deepEqual(runs, ["abc"], "run with args of last action");
+    tt.end();
+  });
+
+  t.test("throttle runs worker at most once in a period", async (tt) => {
+    const runs = [];
+    const store = createStoreWith({ query: "" }, effectsMiddleware(
+      throttle(30, search, (state, query) => { runs.push(query); }),
+    ));
+    store.dispatch(search, "a");
+    await tick();
+    tt.deepEqual(runs, ["a"], "first one is run immediately");
+    store.dispatch(search, "b");
+    await tick();
+    store.dispatch(search, "c");
+    await tick();
+    tt.deepEqual(runs, ["a"], "others are held");
+    await tick(60);
+    tt.deepEqual(runs, ["a", "c"], "last one is run at the end of period");
+    await tick(40);
+    store.dispatch(search, "d");
+    await tick();
+    tt.deepEqual(runs, ["a", "c", "d"], "run immediately after period");
+    tt.end();
+  });
+
+  t.test("reports errors of workers", async (tt) => {
+    const errors = [];
+    const store = createStoreWith({ query: "" }, effectsMiddleware(
+      takeEvery(search, () => { throw new Error("failed"); }, { onError: (error) => errors.push(error.message) }),
+    ));
+    store.dispatch(search, "a");
+    await tick();
+    tt.deepEqual(errors, ["failed"]);
+    tt.end();
+  });
+
+  t.test("stops when destroyed", async (tt) => {
+    const runs = [];
+    const store = createStore({ query: "" });
+    store.registerModule("search", {
+      middlewares: [
+        effectsMiddleware(debounce(10, search, (state, query) => { runs.push(query); })),
+      ],
+    });
+    store.dispatch(search, "a");
+    await tick();
+    store.unregisterModule("search");
+    await tick(20);
+    tt.deepEqual(runs, [], "pending runs are cleared");
+    tt.end();
+  });
+});
@@ -0,0 +1,126 @@
+// Undo/redo history of changes committed by actions, kept as patches
+export default function historyMiddleware({
+  maxDepth = 100,
+  filter = () => true, // (action, args) => whether to record
+  groupBy = () => undefined, // (action, args) => key of group to merge into
+} = {}) {
+  let store = null;
+  // checkpoints, each has patches committed by other actions after it,
+  // or null if state has been changed directly, which can't be rebased
+  let past = [];
+  let future = [];
+  let lastGroup;
+  let patchedState = null; // state after the last change recorded
+  let travelled = null; // changes made by undo or redo, null if not travelling
+
+  const middleware = (storeInner) => {
+    store = storeInner;
+    patchedState = store.getState();
+    return {
+      patched(action, args, patches, inversePatches) {
+        patchedState = store.getState();
+        const last = past[past.length - 1];
+        if (!filter(action, args)) {
+          last?.others?.push(patches);
+          return;
+        }
+        const group = groupBy(action, args);
+        // changes of other actions in between are not merged
+        if (group !== undefined && group === lastGroup && last?.others?.length === 0) {
+          past[past.length - 1] = {
+            patches: [...last.patches, ...patches],
+            inversePatches: [...inversePatches, ...last.inversePatches],
+            others: [],
+          };
+        } else {
+          past.push({ patches, inversePatches, others: [] });
+          past.length > maxDepth && past.shift();
+        }
+        lastGroup = group;
+        future = [];
+      },
+
+      committed(patches, inversePatches) {
+        const state = store.getState();
+        if (travelled) {
+          Object.assign(travelled, { patches, inversePatches });
+        } else if (state !== patchedState && past.length) {
+          past[past.length - 1].others = null;
+        }
+        patchedState = state;
+      },
+
+      destroy() {
+        store = null;
+        middleware.clear();
+      }
+    };
+  };
+
+  return Object.defineProperties(middleware, {
+    canUndo: { get: () => past.length > 0 },
+    canRedo: { get: () => future.length > 0 },
+    undo: {
+      value() {
+        travel(true);
+      }
+    },
+    redo: {
+      value() {
+        travel(false);
+      }
+    },
+    clear: {
+      value() {
+        past = [];
+        future = [];
+        lastGroup = undefined;
+      }
+    },
+  });
+
+  function travel(isUndo) {
+    if (!store) {
+      throw new Error("History middleware has not been added to a store!");
+    }
+    // commit pending async mutations if any, they would be recorded
+    // and need to be undone first rather than the one before them
+    store.applyPatches([]);
+    const from = isUndo ? past : future;
+    if (from.length) {
+      const checkpoint = from[from.length - 1];
+      const changes = travelled = {};
+      try {
+        isUndo ? undo(checkpoint) : store.applyPatches([], { rebase: [checkpoint.patches] });
+      } finally {
+        travelled = null;
+      }
+      // only move checkpoint after patches are applied successfully
+      from.pop();
+      if (isUndo) {
+        // changes after it are after the one before too
+        const prev = past[past.length - 1];
+        prev && (prev.others = prev.others && checkpoint.others && [...prev.others, ...checkpoint.others]);
+        future.push({ ...checkpoint, others: [] });
+      } else {
+        // patches redone may have been rebased, keep what is actually changed
+        past.push({ ...checkpoint, ...changes, others: [] });
+      }
+      lastGroup = undefined;
+    }
+  }
+
+  // revert changes of checkpoint, then apply again changes of other actions
+  // after it, as reverting may have undone them too, e.g. items pushed
+  function undo({ inversePatches, others }) {
+    if (others?.length) {
+      try {
+        store.applyPatches(inversePatches, { rebase: others });
+        return;
+      } catch {
+        // patches can't be rebased, e.g. path removed by checkpoint
+      }
+    }
+    store.applyPatches(inversePatches);
+  }
+}
@@ -0,0 +1,185 @@
+import test from "tape";
+
+import { tick, createStoreWith } from "../test-utils.js";
+import historyMiddleware from "./history.js";
+
+test("historyMiddleware", async (t) => {
+  const increase = (state) => { state.count++; };
+
+  t.test("can undo and redo changes", async (tt) => {
+    const history = historyMiddleware();
+    const store = createStoreWith({ count: 0 }, history);
+    tt.equal(history.canUndo, false, "can not undo without changes");
+    tt.equal(history.canRedo, false, "can not redo without changes");
+
+    store.dispatch(increase);
+    await tick();
+    store.dispatch(increase);
+    await tick();
+    tt.equal(history.canUndo, true, "can undo after changes");
+
+    history.undo();
+    tt.deepEqual(store.getState(), { count: 1 }, "undo reverts last change");
+    tt.equal(history.canRedo, true, "can redo after undo");
+
+    history.undo();
+    tt.deepEqual(store.getState(), { count: 0 }, "undo again reverts the change before");
+    tt.equal(history.canUndo, false, "can not undo when all changes are reverted");
+
+    history.undo();
+    tt.deepEqual(store.getState(), { count: 0 }, "does nothing when nothing to undo");
+
+    history.redo();
+    history.redo();
+    tt.deepEqual(store.getState(), { count: 2 }, "redo applies reverted changes again");
+    tt.equal(history.canRedo, false, "can not redo when all changes are applied");
+
+    history.undo();
+    store.dispatch((state) => { state.count = 10; });
+    await tick();
+    tt.equal(history.canRedo, false, "new changes clear redo history");
+  });
+
+  t.test("records sync and async changes separately", async (tt) => {
+    const history = historyMiddleware();
+    const store = createStoreWith({ loading: false }, history);
+
+    let resolve;
+    const promise = new Promise(r => resolve = r);
+
+    store.dispatch((state) => {
+      state.loading = true;
+      promise.then(() => {
+        state.loading = false;
+        state.data = "data";
+      });
+    });
+    await tick();
+    resolve();
+    await tick();
+
+    history.undo();
+    tt.deepEqual(store.getState(), { loading: true }, "undo reverts async changes");
+    history.undo();
+    tt.deepEqual(store.getState(), { loading: false }, "undo again reverts sync changes");
+  });
+
+  t.test("undo commits pending async mutations first", async (tt) => {
+    const history = historyMiddleware();
+    const store = createStoreWith({ count: 0 }, history);
+
+    let proxy;
+    store.dispatch((state) => { proxy = state; state.count++; });
+    await tick();
+
+    proxy.count = 10; // async mutation, not committed yet
+    history.undo();
+    tt.deepEqual(store.getState(), { count: 1 }, "reverts async mutation");
+  });
+
+  t.test("is bounded by max depth", async (tt) => {
+    const history = historyMiddleware({ maxDepth: 2 });
+    const store = createStoreWith({ count: 0 }, history);
+
+    for (let i = 0; i < 3; i++) {
+      store.dispatch(increase);
+      await tick();
+    }
+
+    history.undo();
+    history.undo();
+    tt.equal(history.canUndo, false, "only keeps latest checkpoints");
+    tt.deepEqual(store.getState(), { count: 1 });
+  });
+
+  t.test("only records actions passing filter", async (tt) => {
+    const history = historyMiddleware({ filter: (action) => action === increase });
+    const store = createStoreWith({ count: 0, other: 0 }, history);
+
+    store.dispatch(increase);
+    await tick();
+    store.dispatch((state) => { state.other = 1; });
+    await tick();
+
+    history.undo();
+    tt.deepEqual(store.getState(), { count: 0, other: 1 }, "changes by other actions are kept");
+    tt.equal(history.canUndo, false, "other actions are not recorded");
+  });
+
+  t.test("keeps changes of other actions to same values when undoing", async (tt) => {
+    const inc = function inc(state) {
+      state.count++;
+      state.list.push("a");
+    };
+    const history = historyMiddleware({ filter: (action) => action === inc });
+    const store = createStoreWith({ count: 0, list: [] }, history);
+
+    store.dispatch(inc);
+    await tick();
+    store.dispatch((state) => {
+      state.count += 10;
+      state.list.push("b");
+    });
+    await tick();
+    tt.deepEqual(store.getState(), { count: 11, list: ["a", "b"] });
+
+    history.undo();
+    tt.deepEqual(store.getState(), { count: 11, list: ["b"] },
+      "values set by others are set again as is, items appended are still appended");
+    history.redo();
+    tt.deepEqual(store.getState(), { count: 1, list: ["b", "a"] }, "redo applies change again");
+    history.undo();
+    tt.deepEqual(store.getState(), { count: 11, list: ["b"] }, "undo of redo reverts what is redone");
+
+    store.dispatch(inc);
+    await tick();
+    store.setState({ count: 5, list: ["c"] });
+    history.undo();
+    tt.deepEqual(store.getState(), { count: 11, list: ["c"] },
+      "reverted as recorded if state has been changed directly");
+  });
+
+  t.test("merges consecutive changes of same group", async (tt) => {
+    const history = historyMiddleware({ groupBy: (action) => action.name });
+    const store = createStoreWith({ text: "", count: 0 }, history);
+
+    function type(state, char) {
+      state.text += char;
+    }
+
+    for (const char of "abc") {
+      store.dispatch(type, char);
+      await tick();
+    }
+    store.dispatch(increase);
+    await tick();
+    store.dispatch(type, "d");
+    await tick();
+
+    history.undo();
+    tt.deepEqual(store.getState(), { text: "abc", count: 1 }, "reverts last group");
+    history.undo();
+    history.undo();
+    tt.deepEqual(store.getState(), { text: "", count: 0 }, "reverts whole group at once");
+    history.redo();
+    tt.deepEqual(store.getState(), { text: "abc", count: 0 }, "redo applies whole group");
+  });
+
+  t.test("can clear history", async (tt) => {
+    const history = historyMiddleware();
+    const store = createStoreWith({ count: 0 }, history);
+
+    store.dispatch(increase);
+    await tick();
+    history.undo();
+
+    history.clear();
+    tt.equal(history.canUndo, false, "can not undo after clear");
+    tt.equal(history.canRedo, false, "can not redo after clear");
+  });
+
+  t.test("can not undo before added to store", async (tt) => {
+    const history = historyMiddleware();
+    tt.throws(() => history.undo(), /History middleware has not been added to a store!/);
+  });
+});
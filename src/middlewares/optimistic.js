@@ -0,0 +1,130 @@
+// Optimistic updates, rolled back if they fail
+import { rebasePatches } from "../store/replay.js";
+import { wrapAction, memoizeWrapper, findMarker } from "../store/actions.js";
+
+const optimisticKey = Symbol("optimistic");
+
+export default function optimisticMiddleware() {
+  return (store) => {
+    const layers = new WeakMap(); // args of optimistic action => its layer
+    let pending = new Set(); // layers of optimistic actions not done
+    let failed = new Set(); // layers failed, patches not rebased
+    let base = null; // state before the oldest layer pending
+    let log = []; // changes committed since base
+    let lastState = null; // state after the last change logged
+
+    // action running optimistic action, settles the layer when it's done
+    const runnerOf = (action, layer) => wrapAction(action, function (state, ...args) {
+      let result;
+      try {
+        result = action.call(this, state, ...args);
+      } catch (error) {
+        // changes made before throwing are committed after this
+        queueMicrotask(() => settle(layer, true));
+        throw error;
+      }
+      if (typeof result?.then !== "function") {
+        settle(layer, false);
+        return result;
+      }
+      return Promise.resolve(result).then(
+        (value) => {
+          settle(layer, false);
+          return value;
+        },
+        (error) => {
+          settle(layer, true);
+          throw error;
+        }
+      );
+    });
+
+    const settle = (layer, isFailed) => {
+      if (pending.delete(layer)) {
+        if (isFailed) {
+          failed.add(layer);
+          rollback(layer);
+        }
+        if (!pending.size) {
+          base = lastState = null;
+          log = [];
+          failed = new Set();
+        }
+      }
+    };
+
+    const rollback = (layer) => {
+      // commit pending changes so that they are logged
+      store.applyPatches([]);
+      if (store.getState() !== lastState) {
+        // changed by setState() or applyPatches(), which are not logged,
+        // can't be rebased; revert changes of the failed action only
+        const inversePatches = log
+          .filter(entry => entry.layer === layer)
+          .reduceRight((patches, entry) => [...patches, ...entry.inversePatches], []);
+        try {
+          store.applyPatches(inversePatches);
+        } catch (error) {
+          console.error("Error rolling back optimistic update", error);
+        }
+      } else {
+        const state = log.reduce(
+          (state, entry) => failed.has(entry.layer) ? state : rebasePatches(state, entry.patches),
+          base
+        );
+        store.applyPatches([{ op: "replace", path: [], value: state }]);
+      }
+      lastState = store.getState();
+    };
+
+    return {
+      execute(action, args, next) {
+        if (!isOptimistic(action)) {
+          next(action, args);
+          return;
+        }
+        const layer = {};
+        layers.set(args, layer);
+        if (!pending.size) {
+          base = lastState = store.getState();
+        }
+        pending.add(layer);
+        next(runnerOf(action, layer), args);
+      },
+
+      patched(action, args, patches, inversePatches) {
+        if (pending.size) {
+          log.push({ patches, inversePatches, layer: layers.get(args) });
+          lastState = store.getState();
+        }
+      },
+
+      // cancelled optimistic actions are rolled back too
+      cancelled(action, args) {
+        const layer = layers.get(args);
+        layer && settle(layer, true);
+      },
+
+      destroy() {
+        pending = new Set();
+        log = [];
+      }
+    };
+  };
+}
+
+const toOptimistic = memoizeWrapper((action) => wrapAction(action, function (...args) {
+  return action.apply(this, args);
+}, { [optimisticKey]: true }));
+
+/**
+ * Mark action as optimistic, all changes it made are rolled back if it fails,
+ * i.e. throws or the promise returned rejects.
+ */
+export function optimistic(action) {
+  return toOptimistic(action);
+}
+
+function isOptimistic(action) {
+  return !!action && findMarker(action, optimisticKey) === true;
+}
@@ -0,0 +1,144 @@
+import test from "tape";
+
+import { createStore } from "../store/index.js";
+import { tick, createStoreWith } from "../test-utils.js";
+import optimisticMiddleware, { optimistic } from "./optimistic.js";
+
+test("optimisticMiddleware", async (t) => {
+  // adds todo optimistically, saved after a while
+  const addTodo = optimistic(async function addTodo(state, title, fail) {
+    state.todos.push({ title, saved: false });
+    await tick(10);
+    if (fail) {
+      throw new Error("failed");
+    }
+    state.todos.find(todo => todo.title === title).saved = true;
+  });
+
+  const increase = function increase(state) {
+    state.count++;
+  };
+
+  t.test("keeps changes if succeeded", async (tt) => {
+    const store = createStoreWith({ todos: [], count: 0 }, optimisticMiddleware());
+    const done = store.dispatch(addTodo, "a");
+    await tick();
+    tt.deepEqual(store.getState().todos, [{ title: "a", saved: false }], "changes applied immediately");
+    await done;
+    tt.deepEqual(store.getState().todos, [{ title: "a", saved: true }]);
+    tt.end();
+  });
+
+  t.test("rolls back changes if failed, rebasing later actions", async (tt) => {
+    const store = createStoreWith({ todos: [], count: 0 }, optimisticMiddleware());
+    const failed = store.dispatch(addTodo, "a", true);
+    store.dispatch(addTodo, "b");
+    store.dispatch(increase);
+    await tick();
+    tt.deepEqual(store.getState().todos.map(todo => todo.title), ["a", "b"]);
+
+    store.dispatch(async function later(state) {
+      await tick(1);
+      state.count += 10;
+    });
+    await failed.catch(error => tt.equal(error.message, "failed", "rejected as is"));
+    tt.deepEqual(store.getState(), { todos: [{ title: "b", saved: false }], count: 11 },
+      "only changes of failed action are removed");
+    await tick(20);
+    tt.deepEqual(store.getState(), { todos: [{ title: "b", saved: true }], count: 11 },
+      "changes of pending actions are rebased");
+    tt.end();
+  });
+
+  t.test("never calls actions again when rebasing", async (tt) => {
+    const store = createStoreWith({ items: [] }, optimisticMiddleware());
+    const saved = [];
+    const save = optimistic(async function save(state, item) {
+      state.items.push(item);
+      saved.push(item);
+      await tick(5);
+      if (item === "a") {
+        throw new Error("failed");
+      }
+    });
+    const failed = store.dispatch(save, "a");
+    await tick();
+    const done = store.dispatch(save, "b");
+    await failed.catch(() => {});
+    await done;
+    tt.deepEqual(saved, ["a", "b"], "action body runs once each");
+    tt.deepEqual(store.getState().items, ["b"], "items appended are still appended");
+    tt.end();
+  });
+
+  t.test("rebases patches of later actions as recorded", async (tt) => {
+    const store = createStoreWith({ todos: [], count: 0 }, optimisticMiddleware());
+    const failed = store.dispatch(addTodo, "a", true);
+    store.dispatch(function count(state) {
+      state.count = state.todos.length;
+    });
+    await tick();
+    tt.equal(store.getState().count, 1);
+    await failed.catch(() => {});
+    tt.deepEqual(store.getState(), { todos: [], count: 1 }, "values set are set again as is");
+    tt.end();
+  });
+
+  t.test("rolls back sync failures and cancelled actions", async (tt) => {
+    const store = createStoreWith({ todos: [], count: 0 }, optimisticMiddleware());
+    const addThenThrow = optimistic(function addThenThrow(state) {
+      state.todos.push({ title: "a" });
+      state.count++;
+      throw new Error("failed");
+    });
+    await store.dispatch(addThenThrow).catch(error => tt.equal(error.message, "failed"));
+    await tick();
+    tt.deepEqual(store.getState(), { todos: [], count: 0 }, "sync failures");
+
+    const cancelled = store.dispatch(addTodo, "b");
+    await tick();
+    cancelled.cancel();
+    await cancelled.catch(() => {});
+    tt.deepEqual(store.getState(), { todos: [], count: 0 }, "cancelled actions");
+    tt.end();
+  });
+
+  t.test("reverts changes of failed action only if state is set directly", async (tt) => {
+    const store = createStoreWith({ todos: [], count: 0 }, optimisticMiddleware());
+    const failed = store.dispatch(addTodo, "a", true);
+    await tick();
+    store.setState({ ...store.getState(), count: 5 });
+    await failed.catch(() => {});
+    tt.deepEqual(store.getState(), { todos: [], count: 5 });
+    tt.end();
+  });
+
+  t.test("works with slices and defined actions", async (tt) => {
+    const store = createStoreWith({ todos: { items: [] } }, optimisticMiddleware());
+    const todos = store.defineActions({
+      add: optimistic(async (todos, item) => {
+        todos.items.push(item);
+        await tick(5);
+        throw new Error("failed");
+      }),
+    }, { namespace: "todos" });
+    await todos.add(1).catch(() => {});
+    tt.deepEqual(store.getState().todos.items, [], "defined actions");
+
+    await store.slice("todos").dispatch(optimistic(async function add(todos, item) {
+      todos.items.push(item);
+      await tick(5);
+      throw new Error("failed");
+    }), 2).catch(() => {});
+    tt.deepEqual(store.getState().todos.items, [], "slices");
+    tt.end();
+  });
+
+  t.test("acts as the action itself without middleware", async (tt) => {
+    const store = createStore({ todos: [] });
+    await store.dispatch(addTodo, "a", true).catch(() => {});
+    tt.deepEqual(store.getState().todos, [{ title: "a", saved: false }]);
+    tt.equal(optimistic(addTodo.original), addTodo, "same wrapper for same action");
+    tt.end();
+  });
+});
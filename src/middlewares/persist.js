@@ -0,0 +1,189 @@
+import { getIn } from "../store/paths.js";
+import { versionKey } from "../store/migrations.js";
+import { serialize as serializeState, deserialize as deserializeState } from "../store/serialize.js";
+
+// Persist committed state to a storage, and restore it when added to store
+export default function persistMiddleware({
+  key = "restato",
+  storage = memoryStorage(),
+  paths = null, // key paths to persist, whole state if not specified
+  throttle = 1000, // ms, at most one write in this period
+  serialize = serializeState,
+  deserialize = deserializeState,
+  onError = (error) => console.error("Error persisting state", error),
+} = {}) {
+  let store = null;
+  let timer = null;
+  let writtenState = null; // state persisted, either written or restored
+  let writing = Promise.resolve(); // last write, writes are done in order
+  let isRehydrated = false;
+  let resolveRehydrated;
+  const rehydrated = new Promise(resolve => resolveRehydrated = resolve);
+
+  const middleware = (storeInner) => {
+    store = storeInner;
+    rehydrate();
+
+    return {
+      execute(action, args, next) {
+        // actions queued before rehydrated run after restored state is set
+        if (!isRehydrated) {
+          return rehydrated.then(() => next(action, args));
+        }
+        next(action, args);
+      },
+
+      // including changes bypassing middlewares, e.g. undo of history
+      committed() {
+        isChanged() && (timer ??= setTimeout(write, throttle));
+      },
+
+      destroy() {
+        // write pending changes before store is gone
+        (timer || isChanged()) && write();
+        store = null;
+      }
+    };
+  };
+
+  return Object.defineProperties(middleware, {
+    isRehydrated: { get: () => isRehydrated },
+    // resolved once persisted state is restored, or nothing to restore
+    rehydrated: { value: rehydrated },
+    flush: {
+      // write pending changes now, resolved when written
+      value() {
+        (timer || isChanged()) && write();
+        return writing;
+      }
+    },
+    purge: {
+      // remove persisted state, resolved when removed
+      value() {
+        clearTimeout(timer);
+        timer = null;
+        writing = writing.then(() => storage.removeItem(key)).catch(onError);
+        return writing;
+      }
+    },
+  });
+
+  function rehydrate() {
+    const done = (saved) => {
+      try {
+        saved != null && store && store.applyPatches(toPatches(deserialize(saved)));
+      } catch (error) {
+        onError(error);
+      }
+      writtenState = store?.getState();
+      isRehydrated = true;
+      resolveRehydrated();
+    };
+
+    const failed = (error) => {
+      onError(error);
+      done(null);
+    };
+
+    try {
+      const saved = storage.getItem(key);
+      // restore immediately if storage is sync
+      typeof saved?.then === "function" ? saved.then(done, failed) : done(saved);
+    } catch (error) {
+      failed(error);
+    }
+  }
+
+  function write() {
+    clearTimeout(timer);
+    timer = null;
+    if (store) {
+      const state = writtenState = store.getState();
+      const value = paths ? toEntries(state) : state;
+      writing = writing.then(() => storage.setItem(key, serialize(value))).catch(onError);
+    }
+  }
+
+  // version marker is also persisted so that paths can be migrated
+  function toEntries(state) {
+    const entries = paths.map(path => [path, getIn(state, path)]);
+    versionKey in state && entries.push([[versionKey], state[versionKey]]);
+    return entries;
+  }
+
+  // restore state by patching, without discarding pending actions;
+  // persisted state of old version is migrated first, for paths, only
+  // a partial state made of them is migrated
+  function toPatches(saved) {
+    if (!paths) {
+      return [{ op: "replace", path: [], value: store.migrate(saved) }];
+    }
+    const migrated = store.migrate(toPartialState(saved));
+    // paths not persisted before are left as they are
+    return paths
+      .filter(path => saved.some(([p]) => p.length === path.length && p.every((k, i) => k === path[i])))
+      .map(path => ({ op: "replace", path, value: getIn(migrated, path) }));
+  }
+
+  // whether persisted part of state is different from the one persisted;
+  // changes made before rehydrated would overwrite the persisted state
+  function isChanged() {
+    const state = store?.getState();
+    if (!isRehydrated || !state || state === writtenState) {
+      return false;
+    }
+    return !paths || [...paths, [versionKey]].some(path => getIn(state, path) !== getIn(writtenState, path));
+  }
+}
+
+function toPartialState(entries) {
+  const partial = {};
+  entries.forEach(([path, value]) => {
+    let parent = partial;
+    path.slice(0, -1).forEach(key => parent = parent[key] ??= {});
+    parent[path[path.length - 1]] = value;
+  });
+  return partial;
+}
+
+// keep state in memory, mainly for tests
+export function memoryStorage(items = new Map()) {
+  return {
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => void items.set(key, value),
+    removeItem: (key) => void items.delete(key),
+  };
+}
+
+// adapter of localStorage, sessionStorage, or anything alike
+export function webStorage(storage = globalThis.localStorage) {
+  if (!storage) {
+    throw new Error("Web storage is not available!");
+  }
+  return {
+    getItem: (key) => storage.getItem(key),
+    setItem: (key, value) => storage.setItem(key, value),
+    removeItem: (key) => storage.removeItem(key),
+  };
+}
+
+// keep state in files under dir, one file for each key; Node.js only
+export function fileStorage(dir) {
+  // imported lazily so that this module can still be used in browsers
+  const modules = Promise.all([import("node:fs/promises"), import("node:path")]);
+  const withFile = (key, fn) => modules.then(([fs, { join }]) => fn(fs, join(dir, `${encodeURIComponent(key)}.json`)));
+
+  return {
+    getItem: (key) => withFile(key, (fs, file) => fs.readFile(file, "utf8").catch(error => {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    })),
+    setItem: (key, value) => withFile(key, async (fs, file) => {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(file, value, "utf8");
+    }),
+    removeItem: (key) => withFile(key, (fs, file) => fs.rm(file, { force: true })),
+  };
+}
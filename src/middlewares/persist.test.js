@@ -0,0 +1,239 @@
+import test from "tape";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { createStore } from "../store/index.js";
+import { versionKey } from "../store/migrations.js";
+import { tick, createStoreWith } from "../test-utils.js";
+import historyMiddleware from "./history.js";
+import persistMiddleware, { memoryStorage, webStorage, fileStorage } from "./persist.js";
+
+test("persistMiddleware", async (t) => {
+  const increase = (state) => { state.count++; };
+
+  t.test("restores persisted state synchronously from sync storage", async (tt) => {
+    const storage = memoryStorage(new Map([["restato", '{"count":10}']]));
+    const store = createStore({ count: 0 });
+    const persist = persistMiddleware({ storage });
+    store.addMiddlewares(persist);
+
+    tt.equal(persist.isRehydrated, true, "rehydrated immediately");
+    tt.deepEqual(store.getState(), { count: 10 }, "restores persisted state");
+  });
+
+  t.test("writes committed state with throttle", async (tt) => {
+    const items = new Map();
+    const store = createStore({ count: 0 });
+    const persist = persistMiddleware({ storage: memoryStorage(items), throttle: 20 });
+    store.addMiddlewares(persist);
+
+    store.dispatch(increase);
+    await tick();
+    store.dispatch(increase);
+    await tick();
+    tt.equal(items.size, 0, "not written before throttle period");
+
+    await tick(30);
+    tt.equal(items.get("restato"), '{"count":2}', "writes latest state once");
+
+    store.dispatch(increase);
+    await tick();
+    await persist.flush();
+    tt.equal(items.get("restato"), '{"count":3}', "writes immediately when flushed");
+
+    await persist.purge();
+    tt.equal(items.size, 0, "removes persisted state when purged");
+  });
+
+  t.test("only persists whitelisted paths", async (tt) => {
+    const items = new Map();
+    const storage = memoryStorage(items);
+    const paths = [["user", "settings"], ["todos"]];
+
+    const store = createStore({ user: { settings: { theme: "light" }, token: "t" }, todos: [], other: 0 });
+    const persist = persistMiddleware({ storage, paths, throttle: 0 });
+    store.addMiddlewares(persist);
+
+    store.dispatch((state) => { state.other++; });
+    await tick(5);
+    tt.equal(items.size, 0, "changes of other paths are not written");
+
+    store.dispatch((state) => { state.user.settings.theme = "dark"; });
+    await tick(5);
+    tt.deepEqual(JSON.parse(items.get("restato")), [
+      [["user", "settings"], { theme: "dark" }],
+      [["todos"], []],
+    ]);
+
+    const restored = createStore({ user: { settings: {}, token: null }, todos: [1], other: 0 });
+    restored.addMiddlewares(persistMiddleware({ storage, paths }));
+    tt.deepEqual(restored.getState(), {
+      user: { settings: { theme: "dark" }, token: null },
+      todos: [],
+      other: 0,
+    }, "only restores whitelisted paths");
+  });
+
+  t.test("rehydrates from async storage before queued actions run", async (tt) => {
+    let resolve;
+    const storage = {
+      getItem: () => new Promise(r => resolve = r),
+      setItem: () => {},
+      removeItem: () => {},
+    };
+    const store = createStore({ count: 0 });
+    const persist = persistMiddleware({ storage });
+    store.addMiddlewares(persist);
+
+    const dispatched = store.dispatch(increase);
+    await tick();
+    tt.equal(persist.isRehydrated, false, "not rehydrated until storage is read");
+    tt.deepEqual(store.getState(), { count: 0 }, "queued actions wait for rehydration");
+
+    resolve('{"count":10}');
+    await persist.rehydrated;
+    await dispatched;
+    tt.equal(persist.isRehydrated, true);
+    tt.deepEqual(store.getState(), { count: 11 }, "queued actions run on restored state");
+  });
+
+  t.test("migrates persisted state of old version", async (tt) => {
+    const options = {
+      version: 1,
+      migrations: { 1: ({ user, ...rest }) => ({ ...rest, user: { name: user } }) },
+    };
+
+    const storage = memoryStorage(new Map([["restato", JSON.stringify({ user: "old", [versionKey]: 0 })]]));
+    const store = createStore({ user: { name: "" } }, options);
+    store.addMiddlewares(persistMiddleware({ storage }));
+    tt.deepEqual(store.getState(), { user: { name: "old" }, [versionKey]: 1 }, "migrates whole state");
+
+    const items = new Map([["restato", JSON.stringify([[["user"], "old"], [[versionKey], 0]])]]);
+    const paths = [["user"], ["other"]];
+    const pathsStore = createStore({ user: { name: "" }, other: 0 }, options);
+    const persist = persistMiddleware({ storage: memoryStorage(items), paths, throttle: 0 });
+    pathsStore.addMiddlewares(persist);
+    tt.deepEqual(pathsStore.getState(), { user: { name: "old" }, other: 0, [versionKey]: 1 },
+      "migrates persisted paths, leaves paths not persisted");
+
+    pathsStore.dispatch((state) => { state.other++; });
+    await tick(5);
+    tt.deepEqual(JSON.parse(items.get("restato")), [[["user"], { name: "old" }], [["other"], 1], [[versionKey], 1]],
+      "persists version with paths");
+  });
+
+  t.test("keeps Map, Set and Date", async (tt) => {
+    const items = new Map();
+    const init = { map: new Map([[1, new Set(["a"])]]), date: new Date(0) };
+    const store = createStore(init);
+    const persist = persistMiddleware({ storage: memoryStorage(items) });
+    store.addMiddlewares(persist);
+    store.dispatch((state) => { state.map.set(2, new Set()); });
+    await tick();
+    await persist.flush();
+
+    const restored = createStore({});
+    restored.addMiddlewares(persistMiddleware({ storage: memoryStorage(items) }));
+    const { map, date } = restored.getState();
+    tt.deepEqual([...map.keys()], [1, 2]);
+    tt.ok(map.get(1).has("a"));
+    tt.equal(date.getTime(), 0);
+  });
+
+  t.test("reports errors and still rehydrates", async (tt) => {
+    const errors = [];
+    const store = createStore({ count: 0 });
+    const persist = persistMiddleware({
+      storage: memoryStorage(new Map([["restato", "not json"]])),
+      onError: (error) => errors.push(error),
+    });
+    store.addMiddlewares(persist);
+
+    await persist.rehydrated;
+    tt.equal(errors.length, 1, "reports error of invalid persisted state");
+    tt.deepEqual(store.getState(), { count: 0 }, "keeps current state");
+  });
+
+  t.test("writes changes bypassing middlewares", async (tt) => {
+    const items = new Map();
+    const history = historyMiddleware();
+    const persist = persistMiddleware({ storage: memoryStorage(items), throttle: 20 });
+    const store = createStoreWith({ count: 0 }, history, persist);
+
+    store.dispatch((state) => { state.count = 5; });
+    await tick();
+    await persist.flush();
+    tt.equal(items.get("restato"), '{"count":5}');
+
+    history.undo();
+    await persist.flush();
+    tt.equal(items.get("restato"), '{"count":0}', "undo of history");
+
+    store.setState({ count: 42 });
+    await persist.flush();
+    tt.equal(items.get("restato"), '{"count":42}', "setState");
+
+    store.slice("nested").setState({ count: 1 });
+    await tick(30);
+    tt.equal(items.get("restato"), '{"count":42,"nested":{"count":1}}', "written with throttle too");
+  });
+
+  t.test("writes pending changes when store is destroyed", async (tt) => {
+    const items = new Map();
+    const store = createStore({ count: 0 });
+    const persist = persistMiddleware({ storage: memoryStorage(items) });
+    store.addMiddlewares(persist);
+
+    store.dispatch(increase);
+    await tick();
+    store.destroy();
+    await persist.flush();
+    tt.equal(items.get("restato"), '{"count":1}');
+  });
+
+  t.test("adapts web storage", async (tt) => {
+    const items = {};
+    const storage = webStorage({
+      getItem: (key) => items[key] ?? null,
+      setItem: (key, value) => items[key] = value,
+      removeItem: (key) => delete items[key],
+    });
+    storage.setItem("key", "value");
+    tt.equal(storage.getItem("key"), "value");
+    storage.removeItem("key");
+    tt.equal(storage.getItem("key"), null);
+
+    tt.throws(() => webStorage(null), /Web storage is not available!/);
+  });
+
+  t.test("persists to files", async (tt) => {
+    const dir = await mkdtemp(join(tmpdir(), "restato-"));
+    try {
+      const storage = fileStorage(join(dir, "state"));
+      tt.equal(await storage.getItem("app/state"), null, "null if not persisted");
+
+      const store = createStore({ count: 0 });
+      const persist = persistMiddleware({ key: "app/state", storage });
+      store.addMiddlewares(persist);
+      await persist.rehydrated;
+
+      store.dispatch(increase);
+      await tick();
+      await persist.flush();
+      const file = join(dir, "state", "app%2Fstate.json");
+      tt.equal(await readFile(file, "utf8"), '{"count":1}', "writes one file for each key");
+
+      const restored = createStore({ count: 0 });
+      const restoredPersist = persistMiddleware({ key: "app/state", storage });
+      restored.addMiddlewares(restoredPersist);
+      await restoredPersist.rehydrated;
+      tt.deepEqual(restored.getState(), { count: 1 }, "restores from file");
+
+      await restoredPersist.purge();
+      tt.equal(await storage.getItem("app/state"), null, "removes file when purged");
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
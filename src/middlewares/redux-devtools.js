@@ -1,45 +1,251 @@
-export default function reduxDevToolsMiddleware(options) {
+import { replayAction } from "../store/replay.js";
+import { replacer, deserialize } from "../store/serialize.js";
+
+// Connect store to Redux DevTools extension, with time travel by replaying recorded actions
+export default function reduxDevToolsMiddleware({
+  classes, // classes of instances in state, see deserialize
+  actions = {}, // actions can be dispatched by name from the extension, besides defined ones
+  stateSanitizer = (state) => state, // (state, id) => state sent
+  argsSanitizer = (args) => args, // (args, action) => args sent
+  allowlist = null, // names or RegExps of actions to send, all if not specified
+  denylist = null, // names or RegExps of actions not to send
+  maxAge = 50, // max number of actions kept, older ones are committed
+  trace = false, // whether to capture stack trace, or (action, args) => stack trace
+  traceLimit = 10, // max number of frames captured
+  ...options
+} = {}) {
   return (store) => {
     const extension = getExtension();
     if (extension) {
-      const devTools = extension.connect({ name: "Restato", ...options });
-      devTools.init(store.getState());
+      const stacks = new WeakMap(); // args dispatched => stack trace
+      const traces = new WeakMap(); // action sent => stack trace
+      const devTools = extension.connect({
+        name: "Restato",
+        // keep Map, Set, Date, etc. when state is sent back
+        serialize: { replacer },
+        maxAge,
+        ...(trace && { trace: (action) => traces.get(action), traceLimit }),
+        ...options,
+      });
+      const initState = store.getState();
+      let committed; // state before the actions kept
+      let staged; // ids of actions kept, 0 is the committed state
+      let recorded; // id in extension => recorded action
+      let nextId;
+      let patches = []; // patches committed since last action sent
+      let paused = false;
+      let locked = false;
+
+      const stateOf = (id) => id === 0 ? committed : recorded.get(id)?.state;
+
+      const init = (state) => {
+        committed = state;
+        staged = [0];
+        recorded = new Map();
+        nextId = 1;
+        devTools.init(stateSanitizer(state, 0));
+      };
+
+      const send = (action, args, isAsync) => {
+        const state = store.getState();
+        if (!paused && isAllowed(action)) {
+          const id = nextId++;
+          recorded.set(id, { action, args, isAsync, patches, state });
+          staged.push(id);
+          // oldest actions are committed, like the extension does
+          while (staged.length > maxAge) {
+            const [oldest] = staged.splice(1, 1);
+            committed = stateOf(oldest);
+            recorded.delete(oldest);
+          }
+
+          const sent = { type: getType(action, isAsync), args: argsSanitizer(args, action) };
+          trace && traces.set(sent, stacks.get(args));
+          devTools.send(sent, stateSanitizer(state, id));
+        }
+        patches = [];
+      };
+
+      const parse = (text) => deserialize(text, { classes });
+
+      const isAllowed = (action) => {
+        const type = getType(action, false);
+        return (!allowlist || matches(allowlist, type)) && !(denylist && matches(denylist, type));
+      };
+
+      init(initState);
       devTools.subscribe((msg) => {
-        if (msg.type === "DISPATCH") {
-          switch (msg.payload.type) {
-            case "JUMP_TO_ACTION":
-            case "JUMP_TO_STATE":
-              store.setState(JSON.parse(msg.state));
-              break;
-            case "COMMIT":
-              devTools.init(store.getState());
-              break;
-            default:
+        try {
+          if (msg.type === "DISPATCH") {
+            switch (msg.payload.type) {
+              case "JUMP_TO_ACTION":
+              case "JUMP_TO_STATE": {
+                const { actionId = staged[msg.payload.index] } = msg.payload;
+                store.setState(recorded.has(actionId) || actionId === 0 ? stateOf(actionId) : parse(msg.state));
+                break;
+              }
+              case "RESET":
+                store.setState(initState);
+                init(initState);
+                break;
+              case "COMMIT":
+                init(store.getState());
+                break;
+              case "ROLLBACK":
+                store.setState(committed);
+                init(committed);
+                break;
+              case "TOGGLE_ACTION":
+                toggleAction(msg.payload.id, parse(msg.state));
+                break;
+              case "IMPORT_STATE":
+                importState(msg.payload.nextLiftedState);
+                break;
+              case "PAUSE_RECORDING":
+                paused = msg.payload.status;
+                break;
+              case "LOCK_CHANGES":
+                locked = msg.payload.status;
+                break;
+              default:
+            }
+          } else if (msg.type === "ACTION") {
+            dispatchAction(msg.payload);
           }
+        } catch (error) {
+          devTools.error?.(error.message);
         }
       });
 
-      const getType = action => action.name || "/anonymous";
-
       return {
+        dispatched(action, args) {
+          trace && stacks.set(args, getStack(action, args, store.dispatch));
+        },
+
         execute(action, args, next) {
-          next(action, args); // execute action
-          devTools.send({ type: getType(action), args }, store.getState());
+          // transactions are not dispatched, capture stack trace here
+          trace && !stacks.has(args) && stacks.set(args, getStack(action, args));
+          // action is dropped if changes are locked
+          if (!locked) {
+            next(action, args); // execute action
+            send(action, args, false);
+          }
         },
 
         asyncExecuted(action, args, next) {
-          next(); // commit changes
-          devTools.send({ type: `${getType(action)}/async`, args }, store.getState());
+          // discard async changes if locked
+          if (!locked) {
+            next(); // commit changes
+            send(action, args, true);
+          }
+        },
+
+        patched(action, args, changes) {
+          patches.push(...changes);
         },
 
         destroy() {
           devTools.unsubscribe();
         }
+      };
+
+      // skip or unskip an action, states after it are recomputed
+      function toggleAction(id, liftedState) {
+        const { skippedActionIds, computedStates } = liftedState;
+        const skipped = skippedActionIds.includes(id);
+        liftedState.skippedActionIds = skipped
+          ? skippedActionIds.filter(skippedId => skippedId !== id)
+          : [...skippedActionIds, id];
+
+        const start = staged.indexOf(id);
+        let state = stateOf(staged[start - 1]);
+        for (let i = start; i < staged.length; i++) {
+          const entry = recorded.get(staged[i]);
+          if (!liftedState.skippedActionIds.includes(staged[i])) {
+            state = replay(entry, state);
+          }
+          entry.state = state;
+          computedStates[i] = { state: stateSanitizer(state, staged[i]) };
+        }
+
+        store.setState(stateOf(staged[liftedState.currentStateIndex]));
+        devTools.send(null, liftedState);
+      }
+
+      function importState(nextLiftedState) {
+        // revive Map, Set, etc. as it's parsed by the extension already
+        const liftedState = parse(JSON.stringify(nextLiftedState));
+        const { stagedActionIds, computedStates, currentStateIndex = computedStates.length - 1 } = liftedState;
+        committed = liftedState.committedState ?? computedStates[0].state;
+        staged = stagedActionIds;
+        // actions imported can't be replayed, their states are kept instead
+        recorded = new Map(stagedActionIds.slice(1).map((id, i) => {
+          const { state } = computedStates[i + 1];
+          return [id, { imported: state, state }];
+        }));
+        nextId = liftedState.nextActionId;
+        store.setState(stateOf(staged[currentStateIndex]));
+        devTools.send(null, nextLiftedState);
+      }
+
+      // dispatch action registered by name, payload is either a name,
+      // or an object having type (or name) and args, as text or not
+      function dispatchAction(payload) {
+        let action = payload;
+        if (typeof payload === "string") {
+          try {
+            action = parse(payload);
+          } catch {
+            action = payload.trim();
+          }
+        }
+        const { type = action.name, args = [] } = typeof action === "string" ? { type: action } : action;
+        // either given or defined in store
+        const fn = Object.hasOwn(actions, type) ? actions[type] : store.getAction(type);
+        if (typeof fn !== "function") {
+          throw new Error(`Unknown action: ${type}`);
+        }
+        store.dispatch(fn, ...args).catch(error => devTools.error?.(error.message));
+      }
+
+      // stack trace of where action is dispatched, frames
+      // above the excluded function are omitted where supported
+      function getStack(action, args, excluded) {
+        if (typeof trace === "function") {
+          return trace(action, args);
+        }
+        const { stackTraceLimit } = Error;
+        Error.stackTraceLimit = traceLimit;
+        try {
+          const error = new Error();
+          excluded && Error.captureStackTrace?.(error, excluded);
+          return error.stack;
+        } finally {
+          Error.stackTraceLimit = stackTraceLimit;
+        }
       }
     }
   };
 }
 
+// type of action shown in extension, it's name of action function
+function getType(action, isAsync) {
+  let type = action.name || "/anonymous";
+  // prefix with slice path if dispatched to a slice
+  type = action.slice ? `${action.slice.join("/")}/${type}` : type;
+  return isAsync ? `${type}/async` : type;
+}
+
+// whether type matches any of names or RegExps in list
+function matches(list, type) {
+  return [].concat(list).some(item => item instanceof RegExp ? item.test(type) : item === type);
+}
+
+// recompute state after recorded action
+function replay(entry, state) {
+  return "imported" in entry ? entry.imported : replayAction(state, entry);
+}
+
 function getExtension() {
   if (typeof globalThis !== 'undefined') {
     return globalThis.__REDUX_DEVTOOLS_EXTENSION__;
@@ -0,0 +1,433 @@
+import test from "tape";
+
+import { createStore } from "../store/index.js";
+import { serialize, deserialize } from "../store/serialize.js";
+import { tick, createStoreWith } from "../test-utils.js";
+import reduxDevToolsMiddleware from "./redux-devtools.js";
+
+// committed state has freezable Map and Set, convert them to compare
+const plain = (state) => deserialize(serialize(state));
+
+// a fake of the extension, keeps lifted state like the real one does
+function fakeExtension() {
+  const devTools = {
+    options: null,
+    listener: null,
+    errors: [],
+    liftedState: null,
+
+    init(state) {
+      devTools.liftedState = {
+        actionsById: { 0: { action: { type: "@@INIT" } } },
+        computedStates: [{ state }],
+        committedState: state,
+        currentStateIndex: 0,
+        nextActionId: 1,
+        skippedActionIds: [],
+        stagedActionIds: [0],
+      };
+    },
+    send(action, state) {
+      if (action === null) {
+        devTools.liftedState = state;
+        return;
+      }
+      const lifted = devTools.liftedState;
+      const id = lifted.nextActionId++;
+      lifted.actionsById[id] = { action };
+      lifted.stagedActionIds.push(id);
+      lifted.computedStates.push({ state });
+      // oldest actions are committed if more than maxAge
+      if (lifted.stagedActionIds.length > devTools.options.maxAge) {
+        const [oldest] = lifted.stagedActionIds.splice(1, 1);
+        delete lifted.actionsById[oldest];
+        lifted.computedStates.shift();
+        lifted.committedState = lifted.computedStates[0].state;
+      }
+      lifted.currentStateIndex = lifted.computedStates.length - 1;
+      lifted.stacks = { ...lifted.stacks, [id]: devTools.options.trace?.(action) };
+    },
+    subscribe(listener) {
+      devTools.listener = listener;
+    },
+    unsubscribe() {
+      devTools.listener = null;
+    },
+    error(message) {
+      devTools.errors.push(message);
+    },
+
+    get types() {
+      const { stagedActionIds, actionsById } = devTools.liftedState;
+      return stagedActionIds.slice(1).map(id => actionsById[id].action.type);
+    },
+    // text sent by the extension, serialized with the replacer given
+    stringify(value) {
+      return JSON.stringify(value, devTools.options.serialize.replacer);
+    },
+    dispatch(type, extra = {}) {
+      devTools.listener({ type: "DISPATCH", payload: { type, ...extra.payload }, state: extra.state });
+    },
+  };
+
+  globalThis.__REDUX_DEVTOOLS_EXTENSION__ = {
+    connect(options) {
+      devTools.options = options;
+      return devTools;
+    },
+  };
+  return devTools;
+}
+
+test("reduxDevToolsMiddleware", async (t) => {
+  const increase = function increase(state, by = 1) { state.count += by; };
+  const double = function double(state) { state.count *= 2; };
+
+  t.teardown(() => delete globalThis.__REDUX_DEVTOOLS_EXTENSION__);
+
+  t.test("sends actions and state", async (tt) => {
+    const devTools = fakeExtension();
+    const store = createStoreWith({ count: 0 }, reduxDevToolsMiddleware({ name: "Test" }));
+    tt.equal(devTools.options.name, "Test", "options are passed to extension");
+    tt.deepEqual(devTools.liftedState.computedStates[0].state, { count: 0 }, "initialised with state");
+
+    store.dispatch(increase, 2);
+    store.dispatch(async function load(state) {
+      await tick();
+      state.loaded = true;
+    });
+    store.slice(["child"]).dispatch(function child() {});
+    await tick();
+    await tick();
+    tt.deepEqual(devTools.types, ["increase", "load", "child/child", "load/async"]);
+    tt.deepEqual(devTools.liftedState.actionsById[1].action.args, [2], "args are sent");
+
+    store.destroy();
+    tt.equal(devTools.listener, null, "unsubscribed when destroyed");
+    tt.end();
+  });
+
+  t.test("JUMP_TO_STATE and JUMP_TO_ACTION", async (tt) => {
+    const devTools = fakeExtension();
+    const store = createStoreWith({ count: 0, set: new Set([1]) }, reduxDevToolsMiddleware());
+    store.dispatch(increase);
+    await tick();
+
+    const first = devTools.liftedState.computedStates[0].state;
+    devTools.dispatch("JUMP_TO_STATE", { state: devTools.stringify(first) });
+    tt.deepEqual(plain(store.getState()), { count: 0, set: new Set([1]) }, "state is restored with Set");
+
+    const last = devTools.liftedState.computedStates[1].state;
+    devTools.dispatch("JUMP_TO_ACTION", { state: devTools.stringify(last) });
+    tt.equal(store.getState().count, 1);
+    tt.end();
+  });
+
+  t.test("COMMIT, ROLLBACK and RESET", async (tt) => {
+    const devTools = fakeExtension();
+    const store = createStoreWith({ count: 0 }, reduxDevToolsMiddleware());
+    store.dispatch(increase);
+    await tick();
+
+    devTools.dispatch("COMMIT");
+    tt.deepEqual(devTools.liftedState.computedStates, [{ state: { count: 1 } }], "current state is committed");
+    tt.deepEqual(devTools.types, [], "actions are cleared");
+
+    store.dispatch(increase);
+    await tick();
+    tt.equal(store.getState().count, 2);
+    devTools.dispatch("ROLLBACK", { state: devTools.stringify(devTools.liftedState.committedState) });
+    tt.deepEqual(store.getState(), { count: 1 }, "rolled back to committed state");
+    tt.deepEqual(devTools.types, [], "actions are cleared after rollback");
+
+    store.dispatch(increase);
+    await tick();
+    devTools.dispatch("RESET");
+    tt.deepEqual(store.getState(), { count: 0 }, "reset to initial state");
+    tt.deepEqual(devTools.liftedState.computedStates, [{ state: { count: 0 } }]);
+    tt.end();
+  });
+
+  t.test("TOGGLE_ACTION recomputes states by replaying actions", async (tt) => {
+    const devTools = fakeExtension();
+    const store = createStoreWith({ count: 1, set: new Set() }, reduxDevToolsMiddleware());
+    store.dispatch(increase, 2);
+    store.dispatch(double);
+    store.dispatch(async function add(state) {
+      state.count += 10;
+      await tick();
+      state.set.add("async");
+    });
+    await tick();
+    await tick();
+    tt.deepEqual(devTools.types, ["increase", "double", "add", "add/async"]);
+    tt.equal(store.getState().count, 16);
+
+    const toggle = (id) => devTools.dispatch("TOGGLE_ACTION", {
+      payload: { id },
+      state: devTools.stringify(devTools.liftedState),
+    });
+
+    toggle(1);
+    tt.deepEqual(devTools.liftedState.skippedActionIds, [1], "action is skipped");
+    tt.deepEqual(
+      devTools.liftedState.computedStates.map(({ state }) => state.count),
+      [1, 1, 2, 12, 12],
+      "states after skipped action are recomputed"
+    );
+    tt.deepEqual(plain(store.getState()), { count: 12, set: new Set(["async"]) }, "store has recomputed state");
+
+    toggle(3);
+    tt.deepEqual(plain(store.getState()), { count: 2, set: new Set(["async"]) }, "sync part of async action is skipped");
+
+    toggle(4);
+    toggle(1);
+    tt.deepEqual(devTools.liftedState.skippedActionIds, [3, 4], "actions are unskipped");
+    tt.deepEqual(plain(store.getState()), { count: 6, set: new Set() }, "async changes are skipped");
+
+    toggle(3);
+    toggle(4);
+    tt.deepEqual(plain(store.getState()), { count: 16, set: new Set(["async"]) }, "back to the original state");
+
+    store.dispatch(increase);
+    await tick();
+    tt.equal(devTools.liftedState.stagedActionIds.at(-1), 5, "new actions are recorded after toggling");
+    tt.end();
+  });
+
+  t.test("TOGGLE_ACTION keeps state if replaying fails", async (tt) => {
+    let fail = false;
+    const devTools = fakeExtension();
+    const store = createStoreWith({ count: 0 }, reduxDevToolsMiddleware());
+    store.dispatch(increase);
+    store.dispatch(function maybeFail(state) {
+      if (fail) {
+        throw new Error("failed");
+      }
+      state.count *= 10;
+    });
+    await tick();
+    tt.equal(store.getState().count, 10);
+
+    fail = true;
+    devTools.dispatch("TOGGLE_ACTION", { payload: { id: 1 }, state: devTools.stringify(devTools.liftedState) });
+    tt.deepEqual(store.getState(), { count: 0 });
+    tt.end();
+  });
+
+  t.test("IMPORT_STATE", async (tt) => {
+    const devTools = fakeExtension();
+    const store = createStoreWith({ count: 0 }, reduxDevToolsMiddleware());
+    const imported = {
+      actionsById: { 0: { action: { type: "@@INIT" } }, 1: { action: { type: "increase" } } },
+      computedStates: [{ state: { count: 5 } }, { state: { count: 6, map: new Map([["a", 1]]) } }],
+      committedState: { count: 5 },
+      currentStateIndex: 1,
+      nextActionId: 2,
+      skippedActionIds: [],
+      stagedActionIds: [0, 1],
+    };
+    // extension parses the file imported
+    const nextLiftedState = JSON.parse(serialize(imported));
+    devTools.dispatch("IMPORT_STATE", { payload: { nextLiftedState } });
+    tt.deepEqual(plain(store.getState()), { count: 6, map: new Map([["a", 1]]) }, "state is imported");
+    tt.equal(devTools.liftedState, nextLiftedState, "lifted state is sent back");
+
+    store.dispatch(increase);
+    await tick();
+    tt.deepEqual(devTools.types, ["increase", "increase"]);
+
+    const toggle = (id) => devTools.dispatch("TOGGLE_ACTION", {
+      payload: { id },
+      state: devTools.stringify(devTools.liftedState),
+    });
+    toggle(1);
+    tt.deepEqual(store.getState(), { count: 6 }, "actions recorded after imported ones are replayed");
+    toggle(1);
+    tt.deepEqual(
+      plain(store.getState()),
+      { count: 7, map: new Map([["a", 1]]) },
+      "imported actions can't be replayed, their states are kept"
+    );
+    tt.end();
+  });
+
+  t.test("PAUSE_RECORDING", async (tt) => {
+    const devTools = fakeExtension();
+    const store = createStoreWith({ count: 0 }, reduxDevToolsMiddleware());
+    devTools.dispatch("PAUSE_RECORDING", { payload: { status: true } });
+    store.dispatch(increase);
+    await tick();
+    tt.equal(store.getState().count, 1, "actions are executed");
+    tt.deepEqual(devTools.types, [], "but not recorded");
+
+    devTools.dispatch("PAUSE_RECORDING", { payload: { status: false } });
+    store.dispatch(double);
+    await tick();
+    tt.deepEqual(devTools.types, ["double"], "recorded after resumed");
+    tt.end();
+  });
+
+  t.test("LOCK_CHANGES", async (tt) => {
+    const devTools = fakeExtension();
+    const store = createStoreWith({ count: 0 }, reduxDevToolsMiddleware());
+    store.dispatch(async function slow(state) {
+      await tick();
+      state.count = 100;
+    });
+    store.flush();
+    devTools.dispatch("LOCK_CHANGES", { payload: { status: true } });
+    tt.plan(5);
+    store.dispatch(increase).catch(error => {
+      tt.equal(error.message, "Action has been dropped by middlewares!", "actions are dropped");
+    });
+    await tick();
+    await tick();
+    tt.equal(store.getState().count, 0, "changes are discarded");
+    tt.deepEqual(devTools.types, ["slow"]);
+
+    devTools.dispatch("LOCK_CHANGES", { payload: { status: false } });
+    store.dispatch(increase);
+    await tick();
+    tt.equal(store.getState().count, 1, "changes are made after unlocked");
+    tt.deepEqual(devTools.types, ["slow", "increase"]);
+  });
+
+  t.test("dispatches registered actions by name", async (tt) => {
+    const devTools = fakeExtension();
+    const store = createStoreWith({ count: 0 }, reduxDevToolsMiddleware({ actions: { increase, double } }));
+    const send = (payload) => devTools.listener({ type: "ACTION", payload });
+
+    send("increase");
+    await tick();
+    tt.equal(store.getState().count, 1, "by name");
+
+    send('{ "type": "increase", "args": [5] }');
+    await tick();
+    tt.equal(store.getState().count, 6, "with args as text");
+
+    send({ name: "double" });
+    await tick();
+    tt.equal(store.getState().count, 12, "as object");
+    tt.deepEqual(devTools.types, ["increase", "increase", "double"]);
+
+    store.defineActions({ reset(state) { state.count = 0; } }, { namespace: "counter" });
+    send("counter/reset");
+    await tick();
+    tt.equal(store.getState().count, 0, "actions defined in store");
+
+    send("unknown");
+    send("toString");
+    tt.deepEqual(devTools.errors, ["Unknown action: unknown", "Unknown action: toString"], "errors are reported");
+    tt.end();
+  });
+
+  t.test("sanitizes state and args sent", async (tt) => {
+    const devTools = fakeExtension();
+    const store = createStoreWith({ token: "secret", count: 0 }, reduxDevToolsMiddleware({
+      stateSanitizer: (state, id) => ({ ...state, token: `hidden ${id}` }),
+      argsSanitizer: (args, action) => action.name === "login" ? ["***"] : args,
+    }));
+    tt.equal(devTools.liftedState.computedStates[0].state.token, "hidden 0", "initial state is sanitized");
+
+    store.dispatch(function login(state, password) { state.token = `token of ${password}`; }, "password");
+    store.dispatch(increase, 2);
+    await tick();
+    const { actionsById, computedStates } = devTools.liftedState;
+    tt.deepEqual(actionsById[1].action.args, ["***"], "args are sanitized");
+    tt.deepEqual(actionsById[2].action.args, [2]);
+    tt.deepEqual(computedStates.map(({ state }) => state.token), ["hidden 0", "hidden 1", "hidden 2"], "states are sanitized");
+
+    devTools.dispatch("JUMP_TO_ACTION", { payload: { actionId: 1 }, state: devTools.stringify(computedStates[1].state) });
+    tt.deepEqual(store.getState(), { token: "token of password", count: 0 }, "jumps to recorded state, not the sanitized one");
+    devTools.dispatch("JUMP_TO_STATE", { payload: { index: 2 }, state: devTools.stringify(computedStates[2].state) });
+    tt.deepEqual(store.getState(), { token: "token of password", count: 2 }, "jumps by index");
+
+    devTools.dispatch("TOGGLE_ACTION", { payload: { id: 1 }, state: devTools.stringify(devTools.liftedState) });
+    tt.deepEqual(store.getState(), { token: "secret", count: 2 }, "recomputed from recorded state");
+    tt.equal(devTools.liftedState.computedStates[2].state.token, "hidden 2", "recomputed states are sanitized");
+
+    devTools.dispatch("ROLLBACK", { state: devTools.stringify(devTools.liftedState.committedState) });
+    tt.deepEqual(store.getState(), { token: "secret", count: 0 }, "rolls back to recorded state");
+    tt.end();
+  });
+
+  t.test("filters actions by allowlist and denylist", async (tt) => {
+    const devTools = fakeExtension();
+    const store = createStoreWith({ count: 0, todos: {} }, reduxDevToolsMiddleware({
+      allowlist: ["increase", /^todos\//],
+      denylist: [/Secret$/],
+    }));
+    store.dispatch(increase);
+    store.dispatch(double);
+    const todos = store.slice(["todos"]);
+    todos.dispatch(function add() {});
+    todos.dispatch(function addSecret() {});
+    todos.dispatch(async function load(state) {
+      await tick();
+      state.loaded = true;
+    });
+    await tick();
+    await tick();
+    tt.deepEqual(devTools.types, ["increase", "todos/add", "todos/load", "todos/load/async"]);
+    tt.equal(store.getState().count, 2, "filtered actions are still executed");
+    tt.end();
+  });
+
+  t.test("keeps at most maxAge actions", async (tt) => {
+    const devTools = fakeExtension();
+    const store = createStoreWith({ count: 0 }, reduxDevToolsMiddleware({ maxAge: 3 }));
+    tt.equal(devTools.options.maxAge, 3, "maxAge is passed to extension");
+    [1, 2, 3, 4].forEach(by => store.dispatch(increase, by));
+    await tick();
+    tt.deepEqual(devTools.liftedState.stagedActionIds, [0, 3, 4], "oldest actions are committed");
+
+    devTools.dispatch("TOGGLE_ACTION", { payload: { id: 3 }, state: devTools.stringify(devTools.liftedState) });
+    tt.deepEqual(store.getState(), { count: 7 }, "recomputed from committed state");
+
+    devTools.dispatch("ROLLBACK", { state: devTools.stringify(devTools.liftedState.committedState) });
+    tt.deepEqual(store.getState(), { count: 3 }, "rolls back to state after committed actions");
+    tt.end();
+  });
+
+  t.test("captures stack trace of dispatching", async (tt) => {
+    const devTools = fakeExtension();
+    const store = createStoreWith({ count: 0 }, reduxDevToolsMiddleware({ trace: true }));
+    tt.equal(devTools.options.traceLimit, 10, "traceLimit is passed to extension");
+    (function dispatchHere() {
+      store.dispatch(async function load(state) {
+        await tick();
+        state.loaded = true;
+      });
+    })();
+    store.transaction(increase);
+    await tick();
+    await tick();
+
+    const { stacks } = devTools.liftedState;
+    const frames = stacks[2].split("\n").filter(line => line.trim().startsWith("at "));
+    tt.ok(frames[0].includes("dispatchHere"), "starts from where dispatched");
+    tt.ok(frames.length <= 10, "limited by traceLimit");
+    tt.equal(stacks[3], stacks[2], "async changes have stack trace of dispatching");
+    tt.ok(stacks[1].includes("redux-devtools.test.js"), "transaction has stack trace too");
+
+    const customDevTools = fakeExtension();
+    const custom = createStoreWith({ count: 0 }, reduxDevToolsMiddleware({
+      trace: (action, args) => `${action.name}(${args})`,
+    }));
+    custom.dispatch(increase, 1);
+    await tick();
+    tt.equal(customDevTools.liftedState.stacks[1], "increase(1)", "custom stack trace");
+    tt.end();
+  });
+
+  t.test("does nothing without extension", (tt) => {
+    delete globalThis.__REDUX_DEVTOOLS_EXTENSION__;
+    const store = createStore({ count: 0 });
+    store.addMiddlewares(reduxDevToolsMiddleware());
+    store.dispatch(increase);
+    store.flush();
+    tt.equal(store.getState().count, 1);
+    tt.end();
+  });
+});
@@ -0,0 +1,242 @@
+// Generator actions, i.e. sagas, yielding descriptions of effects to run
+import { matchAction, wrapAction, memoizeWrapper, findOriginal } from "../store/actions.js";
+
+const effectKey = "@@restato/effect";
+
+const GeneratorFunction = Object.getPrototypeOf(function* () {}).constructor;
+
+export default function sagaMiddleware() {
+  return (store) => {
+    let takers = new Set(); // sagas waiting for actions
+
+    const env = {
+      store,
+      take(pattern, signal) {
+        const matches = matchAction(pattern);
+        return new Promise((resolve) => {
+          const taker = (action, args) => {
+            if (matches(action)) {
+              takers.delete(taker);
+              resolve({ action, args });
+            }
+          };
+          takers.add(taker);
+          signal.addEventListener("abort", () => takers.delete(taker), { once: true });
+        });
+      },
+    };
+
+    // action running saga
+    const runnerOf = memoizeWrapper((saga) => wrapAction(saga, async function (state, ...args) {
+      // transactions don't have a signal, never cancelled then
+      const signal = this.signal || new AbortController().signal;
+      return runTask(saga.call(this, state, ...args), signal, env);
+    }));
+
+    return {
+      execute(action, args, next) {
+        next(isSaga(action) ? runnerOf(action) : action, args);
+        // sagas taking the action
+        [...takers].forEach(taker => taker(action, args));
+      },
+
+      destroy() {
+        takers = new Set();
+      }
+    };
+  };
+}
+
+/**
+ * Call function with args, waits for the promise returned if any;
+ * generator returned is run as a child task.
+ */
+export function call(fn, ...args) {
+  return effect("call", { fn, args });
+}
+
+/**
+ * Dispatch action with args, waits until it's done.
+ */
+export function put(action, ...args) {
+  return effect("put", { action, args });
+}
+
+/**
+ * Select from committed state of store.
+ */
+export function select(selector = (state) => state, ...args) {
+  return effect("select", { selector, args });
+}
+
+/**
+ * Wait for `ms`, resolved with value.
+ */
+export function delay(ms, value) {
+  return effect("delay", { ms, value });
+}
+
+/**
+ * Run effects in parallel, resolved with result of the first one done,
+ * keyed as the effects given; the rest are cancelled.
+ */
+export function race(effects) {
+  return effect("race", { effects });
+}
+
+/**
+ * Run effects in parallel, resolved with results of all keyed as the
+ * effects given; the rest are cancelled if any fails.
+ */
+export function all(effects) {
+  return effect("all", { effects });
+}
+
+/**
+ * Wait for the next action matched to be executed, resolved with
+ * `{ action, args }`; see effects middleware for patterns.
+ */
+export function take(pattern) {
+  return effect("take", { pattern });
+}
+
+function effect(type, payload) {
+  return { [effectKey]: true, type, ...payload };
+}
+
+function isSaga(action) {
+  return !!findOriginal(action, (a) => a instanceof GeneratorFunction);
+}
+
+// run iterator until it's done, resolved with the value returned;
+// rejected with the reason if signal is aborted
+function runTask(iterator, signal, env) {
+  return new Promise((resolve, reject) => {
+    let effectController = null; // controller of effect waiting for
+
+    const finish = () => signal.removeEventListener("abort", onAbort);
+
+    const onAbort = () => {
+      finish();
+      effectController?.abort(signal.reason);
+      try {
+        // run finally blocks
+        iterator.return();
+      } catch (error) {
+        console.error("Error cancelling saga", error);
+      }
+      reject(signal.reason);
+    };
+
+    const step = (method, value) => {
+      if (signal.aborted) {
+        return;
+      }
+      let result;
+      try {
+        result = iterator[method](value);
+      } catch (error) {
+        finish();
+        reject(error);
+        return;
+      }
+      if (result.done) {
+        finish();
+        resolve(result.value);
+      } else {
+        const controller = effectController = new AbortController();
+        runEffect(result.value, controller.signal, env).then(
+          (v) => controller === effectController && step("next", v),
+          (e) => controller === effectController && step("throw", e)
+        );
+      }
+    };
+
+    if (signal.aborted) {
+      reject(signal.reason);
+    } else {
+      signal.addEventListener("abort", onAbort, { once: true });
+      step("next");
+    }
+  });
+}
+
+// run effect, resolved with its result; cancelled if signal is aborted
+async function runEffect(value, signal, env) {
+  if (isIterator(value)) {
+    return runTask(value, signal, env);
+  }
+  if (!value?.[effectKey]) {
+    // promise or any value yielded as is
+    return value;
+  }
+
+  const { store } = env;
+  switch (value.type) {
+    case "call": {
+      const result = value.fn.apply({ signal }, value.args);
+      return isIterator(result) ? runTask(result, signal, env) : result;
+    }
+    case "put": {
+      const dispatched = store.dispatch(value.action, ...value.args);
+      const cancel = () => dispatched.cancel();
+      signal.addEventListener("abort", cancel, { once: true });
+      // not to cancel once it's done
+      return dispatched.finally(() => signal.removeEventListener("abort", cancel));
+    }
+    case "select":
+      return value.selector(store.getState(), ...value.args);
+    case "delay":
+      return new Promise((resolve) => {
+        const timer = setTimeout(resolve, value.ms, value.value);
+        signal.addEventListener("abort", () => clearTimeout(timer), { once: true });
+      });
+    case "race":
+      return runAll(value.effects, signal, env, true);
+    case "all":
+      return runAll(value.effects, signal, env, false);
+    case "take":
+      return env.take(value.pattern, signal);
+    default:
+      throw new Error(`Unknown effect: ${value.type}`);
+  }
+}
+
+// run effects keyed in an array or object in parallel, each has its own
+// controller, so the rest can be cancelled once the result is known
+function runAll(effects, signal, env, isRace) {
+  const keys = Object.keys(effects);
+  const results = Array.isArray(effects) ? effects.map(() => undefined) : {};
+  const controllers = keys.map(() => new AbortController());
+  const cancelAll = () => controllers.forEach(controller => controller.abort());
+  signal.addEventListener("abort", cancelAll, { once: true });
+
+  let pending = keys.length;
+  return new Promise((resolve, reject) => {
+    const done = (settle, value) => {
+      signal.removeEventListener("abort", cancelAll);
+      cancelAll();
+      settle(value);
+    };
+    if (!pending) {
+      done(resolve, results);
+    }
+    keys.forEach((key, i) => {
+      runEffect(effects[key], controllers[i].signal, env).then(
+        (value) => {
+          if (!controllers[i].signal.aborted) {
+            results[key] = value;
+            if (isRace || --pending === 0) {
+              done(resolve, results);
+            }
+          }
+        },
+        (error) => controllers[i].signal.aborted || done(reject, error)
+      );
+    });
+  });
+}
+
+function isIterator(value) {
+  return typeof value?.next === "function" && typeof value.throw === "function";
+}
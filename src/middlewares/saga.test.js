@@ -0,0 +1,216 @@
+import test from "tape";
+
+import { tick, createStoreWith } from "../test-utils.js";
+import sagaMiddleware, { call, put, select, delay, race, all, take } from "./saga.js";
+
+test("sagaMiddleware", async (t) => {
+  const setResults = function setResults(state, results) {
+    state.results = results;
+  };
+
+  function* searchSaga(state, query) {
+    state.loading = true;
+    try {
+      const results = yield call(api.search, query);
+      yield put(setResults, results);
+      return yield select((s) => s.results.length);
+    } finally {
+      state.loading = false;
+    }
+  }
+
+  const api = {
+    search: async (query) => {
+      await tick(5);
+      return [`${query} 1`, `${query} 2`];
+    },
+  };
+
+  t.test("can be tested by stepping the generator", (tt) => {
+    const state = {};
+    const saga = searchSaga(state, "query");
+    tt.deepEqual(saga.next().value, call(api.search, "query"), "calls api");
+    tt.equal(state.loading, true);
+    tt.deepEqual(saga.next(["result"]).value, put(setResults, ["result"]), "puts results");
+    const effect = saga.next().value;
+    tt.equal(effect.type, "select", "selects");
+    tt.equal(effect.selector({ results: ["result"] }), 1);
+    tt.deepEqual(saga.next(1), { value: 1, done: true });
+    tt.equal(state.loading, false, "finally block runs when done");
+    tt.end();
+  });
+
+  t.test("runs effects when dispatched", async (tt) => {
+    const store = createStoreWith({ results: [], loading: false }, sagaMiddleware());
+    const count = await store.dispatch(searchSaga, "query");
+    tt.equal(count, 2, "resolved with value returned");
+    tt.deepEqual(store.getState(), { results: ["query 1", "query 2"], loading: false });
+    tt.end();
+  });
+
+  t.test("throws errors into generator", async (tt) => {
+    const store = createStoreWith({}, sagaMiddleware());
+    const result = await store.dispatch(function* saga(state) {
+      try {
+        yield call(() => Promise.reject(new Error("failed")));
+      } catch (error) {
+        state.error = error.message;
+      }
+      try {
+        yield call(() => { throw new Error("thrown"); });
+      } catch (error) {
+        return error.message;
+      }
+    });
+    tt.equal(result, "thrown");
+    tt.equal(store.getState().error, "failed");
+
+    await store.dispatch(function* saga() {
+      yield delay(1);
+      throw new Error("uncaught");
+    }).catch(error => tt.equal(error.message, "uncaught", "rejected if not caught"));
+    tt.end();
+  });
+
+  t.test("delay, call of generators and values yielded as is", async (tt) => {
+    const store = createStoreWith({}, sagaMiddleware());
+    function* child(value) {
+      const delayed = yield delay(5, value);
+      return delayed * 2;
+    }
+    const result = await store.dispatch(function* saga() {
+      const a = yield call(child, 1);
+      const b = yield child(2);
+      const c = yield Promise.resolve(3);
+      const d = yield 4;
+      return [a, b, c, d];
+    });
+    tt.deepEqual(result, [2, 4, 3, 4]);
+    tt.end();
+  });
+
+  t.test("race resolves with the winner and cancels the rest", async (tt) => {
+    const store = createStoreWith({}, sagaMiddleware());
+    let cancelled = false;
+    function* slow() {
+      try {
+        yield delay(50);
+      } finally {
+        cancelled = true;
+      }
+    }
+    const result = await store.dispatch(function* saga() {
+      const winner = yield race({ slow: call(slow), fast: delay(5, "fast") });
+      const winners = yield race([delay(50, "slow"), delay(5, "fast")]);
+      return [winner, winners];
+    });
+    tt.deepEqual(result, [{ fast: "fast" }, [undefined, "fast"]]);
+    tt.ok(cancelled, "losers are cancelled");
+    tt.end();
+  });
+
+  t.test("all resolves with all results, or cancels the rest if any fails", async (tt) => {
+    const store = createStoreWith({}, sagaMiddleware());
+    const result = await store.dispatch(function* saga() {
+      return yield all({ a: delay(5, "a"), b: call(() => "b"), c: all([]) });
+    });
+    tt.deepEqual(result, { a: "a", b: "b", c: [] });
+
+    let cancelled = false;
+    await store.dispatch(function* saga() {
+      yield all([
+        call(function* () {
+          try {
+            yield delay(50);
+          } finally {
+            cancelled = true;
+          }
+        }),
+        call(async () => {
+          await tick(5);
+          throw new Error("failed");
+        }),
+      ]);
+    }).catch(error => tt.equal(error.message, "failed"));
+    tt.ok(cancelled, "the rest are cancelled");
+    tt.end();
+  });
+
+  t.test("take waits for actions executed", async (tt) => {
+    const store = createStoreWith({}, sagaMiddleware());
+    const login = function login() {};
+    const logout = function logout() {};
+    const flow = store.dispatch(function* saga(state) {
+      const { args } = yield take(login);
+      state.user = args[0];
+      const { action } = yield take(["logout", "expired"]);
+      state.user = null;
+      return action.name;
+    });
+    await tick();
+    store.dispatch(logout);
+    await tick();
+    tt.equal(store.getState().user, undefined, "ignores other actions");
+    store.dispatch(login, "user");
+    await tick();
+    tt.equal(store.getState().user, "user");
+    store.dispatch(logout);
+    tt.equal(await flow, "logout");
+    tt.equal(store.getState().user, null);
+    tt.end();
+  });
+
+  t.test("cancels the whole task tree", async (tt) => {
+    const store = createStoreWith({ count: 0 }, sagaMiddleware());
+    const events = [];
+    const signals = [];
+    function* child(name) {
+      try {
+        yield call(function () {
+          signals.push(this.signal);
+          return new Promise(() => {});
+        });
+      } finally {
+        events.push(`${name} cancelled`);
+      }
+    }
+    const slowAction = async function slow(state) {
+      await tick(50);
+      state.count++;
+    };
+    const task = store.dispatch(function* saga() {
+      try {
+        yield all([call(child, "a"), race([call(child, "b"), take("never")]), put(slowAction)]);
+      } finally {
+        events.push("saga cancelled");
+      }
+    });
+    await tick(5);
+    task.cancel();
+    await task.catch(error => tt.equal(error.message, "Action has been cancelled!"));
+    tt.deepEqual(events.sort(), ["a cancelled", "b cancelled", "saga cancelled"], "finally blocks run");
+    tt.ok(signals.length === 2 && signals.every(signal => signal.aborted), "signals of calls are aborted");
+    await tick(60);
+    tt.equal(store.getState().count, 0, "actions put are cancelled");
+    tt.end();
+  });
+
+  t.test("works with slices and defined actions", async (tt) => {
+    const store = createStoreWith({ todos: { items: [] } }, sagaMiddleware());
+    const todos = store.defineActions({
+      *load(state, count) {
+        for (let i = 0; i < count; i++) {
+          state.todos.items.push(yield delay(1, i));
+        }
+      },
+    }, { namespace: "todos" });
+    await todos.load(2);
+    tt.deepEqual(store.getState().todos.items, [0, 1], "defined actions");
+
+    await store.slice("todos").dispatch(function* add(todos, item) {
+      todos.items.push(yield item);
+    }, 2);
+    tt.deepEqual(store.getState().todos.items, [0, 1, 2], "slices");
+    tt.end();
+  });
+});
@@ -0,0 +1,196 @@
+import { getIn, isInSet } from "../store/paths.js";
+import { serialize, deserialize } from "../store/serialize.js";
+
+// Synchronise state across tabs, or anything else connected by a channel
+export default function syncMiddleware({
+  channel = "restato", // name of BroadcastChannel, or a channel like object
+  paths = null, // key paths to sync, top-level keys if not specified
+  mode = "patches", // or "snapshots", to always send values of units
+  id = randomId(), // id of this store, used to break ties
+  classes, // classes of instances in state, see deserialize
+  onError = (error) => console.error("Error synchronising state", error),
+} = {}) {
+  return (store) => {
+    const port = typeof channel === "string" ? openChannel(channel) : channel;
+    const stamps = new Map(); // unit key => stamp of its latest change
+    let clock = 0;
+    let syncedState = store.getState(); // state after the last change sent or received
+    let receiving = false;
+
+    const post = (message) => port.postMessage(serialize({ ...message, from: id }));
+
+    const onMessage = (event) => {
+      try {
+        const message = deserialize(event.data, { classes });
+        if (message.from !== id && (message.to == null || message.to === id)) {
+          message.type === "request" ? reply(message) : receive(message);
+        }
+      } catch (error) {
+        onError(error);
+      }
+    };
+    port.addEventListener
+      ? port.addEventListener("message", onMessage)
+      : port.onmessage = onMessage;
+
+    return {
+      patched(action, args, patches) {
+        const state = store.getState();
+        const units = new Map(); // unit key => unit to send
+        patches.forEach((patch) => {
+          unitsOf(patch).forEach(([path, relative]) => {
+            const key = keyOf(path);
+            const unit = units.get(key) || { path, patches: [] };
+            // a snapshot is sent if value of unit is replaced as a whole, or
+            // a Set is changed, as its items are keys and can't be found by copies
+            relative && mode === "patches" && !isInSet(state, patch.path)
+              ? unit.patches?.push(relative)
+              : delete unit.patches;
+            units.set(key, unit);
+          });
+        });
+
+        send(units);
+        syncedState = state;
+      },
+
+      // setState() and applyPatches() bypass middlewares, e.g. undo of
+      // history, send snapshots of units changed by them
+      committed() {
+        const state = store.getState();
+        if (state !== syncedState && !receiving) {
+          const units = new Map();
+          unitPathsOf(syncedState, state)
+            .filter(path => getIn(state, path) !== getIn(syncedState, path))
+            .forEach(path => units.set(keyOf(path), { path }));
+          send(units);
+        }
+        syncedState = state;
+      },
+
+      destroy() {
+        port.removeEventListener
+          ? port.removeEventListener("message", onMessage)
+          : port.onmessage = null;
+        // only close the channel created here
+        typeof channel === "string" && port.close();
+      }
+    };
+
+    // units changed, key => { path, patches }, value is sent if no patches
+    function send(units) {
+      if (units.size) {
+        const state = store.getState();
+        const stamp = [++clock, id];
+        post({
+          type: "change",
+          stamp,
+          units: [...units].map(([key, { path, patches }]) => {
+            const base = stamps.get(key) || null;
+            stamps.set(key, stamp);
+            return patches ? { path, base, patches } : { path, base, value: getIn(state, path) };
+          }),
+        });
+      }
+    }
+
+    function receive({ from, stamp, units }) {
+      clock = Math.max(clock, stamp[0]);
+      const patches = [];
+      const conflicts = [];
+      const applied = [];
+      units.forEach(unit => {
+        const key = keyOf(unit.path);
+        const local = stamps.get(key) || null;
+        if (compare(stamp, local) <= 0) {
+          return; // local change is the latest
+        }
+        if ("patches" in unit) {
+          if (compare(unit.base, local) !== 0) {
+            // based on different changes, need whole value of unit
+            conflicts.push(unit.path);
+            return;
+          }
+          patches.push(...unit.patches.map(p => ({ ...p, path: [...unit.path, ...p.path] })));
+        } else {
+          patches.push(unit.value === undefined
+            ? { op: "remove", path: unit.path }
+            : { op: "replace", path: unit.path, value: unit.value });
+        }
+        applied.push(key);
+      });
+
+      // either all patches are applied or none
+      if (patches.length) {
+        receiving = true;
+        try {
+          store.applyPatches(patches);
+        } finally {
+          receiving = false;
+        }
+      }
+      applied.forEach(key => stamps.set(key, stamp));
+      conflicts.length && post({ type: "request", to: from, paths: conflicts });
+    }
+
+    // send snapshots of units requested, along with their latest stamps
+    function reply({ from, paths: requested }) {
+      const state = store.getState();
+      requested.forEach(path => {
+        const stamp = stamps.get(keyOf(path));
+        stamp && post({
+          type: "change",
+          to: from,
+          stamp,
+          units: [{ path, base: null, value: getIn(state, path) }],
+        });
+      });
+    }
+  };
+
+  // paths of units in either state, whitelisted or top-level keys
+  function unitPathsOf(prev, state) {
+    return paths || [...new Set([...Object.keys(prev), ...Object.keys(state)])].map(key => [key]);
+  }
+
+  // units changed by patch, along with the patch relative to unit if
+  // patch is inside the unit, or null if the unit is replaced as a whole
+  function unitsOf(patch) {
+    const { path } = patch;
+    if (!paths) {
+      // actions can't replace whole state, so there is always a key
+      return [[[path[0]], { ...patch, path: path.slice(1) }]];
+    }
+    return paths
+      .filter(p => startsWith(path, p) || startsWith(p, path))
+      .map(p => [p, startsWith(path, p) ? { ...patch, path: path.slice(p.length) } : null]);
+  }
+}
+
+function startsWith(path, prefix) {
+  return prefix.length <= path.length && prefix.every((key, i) => key === path[i]);
+}
+
+function keyOf(path) {
+  return JSON.stringify(path);
+}
+
+// compare stamps, [clock, id], null is the oldest
+function compare(a, b) {
+  if (!a || !b) {
+    return !a && !b ? 0 : (a ? 1 : -1);
+  }
+  return a[0] - b[0] || (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0);
+}
+
+function randomId() {
+  return globalThis.crypto?.randomUUID?.() ?? Math.random().toString(36).slice(2);
+}
+
+function openChannel(name) {
+  // not available globally in some environments, e.g. Node.js before 18
+  if (typeof globalThis.BroadcastChannel !== "function") {
+    throw new Error("BroadcastChannel is not available, pass a channel instead!");
+  }
+  return new globalThis.BroadcastChannel(name);
+}
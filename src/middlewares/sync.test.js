@@ -0,0 +1,206 @@
+import test from "tape";
+import { BroadcastChannel } from "node:worker_threads";
+
+import { createStore } from "../store/index.js";
+import { deserialize } from "../store/serialize.js";
+import { tick, createStoreWith } from "../test-utils.js";
+import historyMiddleware from "./history.js";
+import syncMiddleware from "./sync.js";
+
+// channels delivering messages only when asked, to control the order
+function createHub() {
+  const queue = [];
+  const ports = [];
+  return {
+    sent: [],
+    port() {
+      const port = {
+        onmessage: null,
+        postMessage: (data) => {
+          this.sent.push(data);
+          ports.filter(p => p !== port).forEach(p => queue.push(() => p.onmessage?.({ data })));
+        },
+      };
+      ports.push(port);
+      return port;
+    },
+    // store synced through a port of hub
+    connect(init, options) {
+      const id = `store${ports.length}`;
+      return createStoreWith(init, syncMiddleware({ channel: this.port(), id, ...options }));
+    },
+    deliver() {
+      while (queue.length) {
+        queue.shift()();
+      }
+    },
+  };
+}
+
+test("syncMiddleware", async (t) => {
+  t.test("syncs over BroadcastChannel", async (tt) => {
+    const init = { todos: new Map(), tags: new Set(), updated: null };
+    const [a, b] = [createStore(init), createStore(init)];
+    // not global before Node.js 18
+    const channels = [new BroadcastChannel("sync-test"), new BroadcastChannel("sync-test")];
+    a.addMiddlewares(syncMiddleware({ channel: channels[0] }));
+    b.addMiddlewares(syncMiddleware({ channel: channels[1] }));
+
+    try {
+      await a.dispatch((state) => {
+        state.todos.set(1, { title: "todo" });
+        state.tags.add({ name: "tag" });
+        state.updated = new Date(0);
+      });
+      await tick(20);
+
+      const { todos, tags, updated } = b.getState();
+      tt.deepEqual(todos.get(1), { title: "todo" }, "syncs Map");
+      tt.deepEqual([...tags.values()], [{ name: "tag" }], "syncs Set");
+      tt.equal(updated.getTime(), 0, "syncs Date");
+
+      await b.dispatch((state) => {
+        state.tags.clear();
+        state.todos.get(1).title = "changed";
+      });
+      await tick(20);
+      tt.equal(a.getState().tags.size, 0, "syncs back");
+      tt.equal(a.getState().todos.get(1).title, "changed");
+    } finally {
+      a.destroy();
+      b.destroy();
+      channels.forEach(channel => channel.close());
+    }
+  });
+
+  t.test("throws if BroadcastChannel is not available", (tt) => {
+    const { BroadcastChannel: global } = globalThis;
+    delete globalThis.BroadcastChannel;
+    try {
+      tt.throws(
+        () => createStore({}).addMiddlewares(syncMiddleware({ channel: "sync-test" })),
+        /BroadcastChannel is not available, pass a channel instead!/
+      );
+    } finally {
+      global && (globalThis.BroadcastChannel = global);
+    }
+    tt.end();
+  });
+
+  t.test("does not broadcast changes received", async (tt) => {
+    const hub = createHub();
+    const [a, b, c] = [0, 1, 2].map(() => hub.connect({ count: 0 }));
+    await a.dispatch((state) => { state.count++; });
+    hub.deliver();
+    tt.deepEqual([b.getState(), c.getState()], [{ count: 1 }, { count: 1 }], "applies changes received");
+    tt.equal(hub.sent.length, 1, "only broadcast once");
+
+    await b.dispatch((state) => { state.added = true; });
+    hub.deliver();
+    tt.deepEqual(a.getState(), { count: 1, added: true }, "adds keys");
+    await b.dispatch((state) => { delete state.count; });
+    hub.deliver();
+    tt.deepEqual(c.getState(), { added: true }, "removes keys");
+
+    const sent = hub.sent.length;
+    b.setState({});
+    hub.deliver();
+    tt.deepEqual([a.getState(), c.getState()], [{}, {}], "syncs setState");
+    tt.equal(hub.sent.length, sent + 1, "snapshots received are not broadcast either");
+  });
+
+  t.test("syncs changes bypassing middlewares", async (tt) => {
+    const hub = createHub();
+    const history = historyMiddleware();
+    const a = createStoreWith({ count: 0, list: [] }, history, syncMiddleware({ channel: hub.port(), id: "a" }));
+    const b = hub.connect({ count: 0, list: [] });
+
+    await a.dispatch((state) => { state.count = 5; });
+    hub.deliver();
+    tt.equal(b.getState().count, 5);
+
+    history.undo();
+    hub.deliver();
+    tt.equal(b.getState().count, 0, "undo of history");
+
+    a.setState({ ...a.getState(), count: 9 });
+    hub.deliver();
+    tt.deepEqual(b.getState(), { count: 9, list: [] }, "setState, only units changed are sent");
+    tt.deepEqual(deserialize(hub.sent.at(-1)).units.map(unit => unit.path), [["count"]]);
+
+    a.registerModule("todos", { initialState: { items: [] } });
+    a.slice("list").setState([1]);
+    hub.deliver();
+    tt.deepEqual(b.getState(), { count: 9, list: [1], todos: { items: [] } }, "registerModule and slices");
+
+    await b.dispatch((state) => { state.count++; });
+    hub.deliver();
+    tt.equal(a.getState().count, 10, "syncs back");
+  });
+
+  t.test("only syncs whitelisted paths", async (tt) => {
+    const init = { user: { settings: { theme: "light" }, token: "" }, other: 0 };
+    const hub = createHub();
+    const [a, b] = [0, 1].map(() => hub.connect(init, { paths: [["user", "settings"]] }));
+
+    await a.dispatch((state) => {
+      state.user.settings.theme = "dark";
+      state.user.token = "token";
+      state.other++;
+    });
+    hub.deliver();
+    tt.deepEqual(b.getState(), { user: { settings: { theme: "dark" }, token: "" }, other: 0 });
+
+    await a.dispatch((state) => { state.user = { settings: { theme: "blue" } }; });
+    hub.deliver();
+    tt.deepEqual(b.getState().user, { settings: { theme: "blue" }, token: "" },
+      "only sends whitelisted part if its parent is replaced");
+  });
+
+  t.test("converges on latest of concurrent changes", async (tt) => {
+    const hub = createHub();
+    const [a, b] = [0, 1].map(() => hub.connect({ items: [] }));
+
+    // both change items before receiving the change of other
+    await a.dispatch((state) => { state.items.push("a"); });
+    await b.dispatch((state) => { state.items.push("b"); });
+    hub.deliver();
+
+    // same clock, id of b is greater
+    tt.deepEqual(a.getState().items, ["b"], "change with greater id wins a tie");
+    tt.deepEqual(b.getState().items, ["b"]);
+
+    await a.dispatch((state) => { state.items.push("a"); });
+    await a.dispatch((state) => { state.items.push("a2"); });
+    await b.dispatch((state) => { state.items.push("b"); });
+    hub.deliver();
+    tt.deepEqual(a.getState().items, ["b", "a", "a2"], "change with greater clock wins");
+    tt.deepEqual(b.getState().items, ["b", "a", "a2"]);
+
+    await b.dispatch((state) => { state.items.push("b"); });
+    hub.deliver();
+    tt.deepEqual(a.getState().items, ["b", "a", "a2", "b"], "syncs patches again after resolved");
+  });
+
+  t.test("can always send snapshots", async (tt) => {
+    const hub = createHub();
+    const [a, b] = [0, 1].map(() => hub.connect({ items: [1] }, { mode: "snapshots" }));
+    await a.dispatch((state) => { state.items.push(2); });
+    hub.deliver();
+    tt.deepEqual(b.getState().items, [1, 2]);
+    tt.ok(hub.sent[0].includes('"value":[1,2]'), "sends value of unit");
+  });
+
+  t.test("reports errors", async (tt) => {
+    const errors = [];
+    const hub = createHub();
+    const [a, b] = [0, 1].map(() => hub.connect({ user: {} }, {
+      paths: [["user", "settings", "theme"]],
+      onError: (error) => errors.push(error),
+    }));
+    await a.dispatch((state) => { state.user.settings = { theme: "dark" }; });
+    hub.deliver();
+    tt.equal(errors.length, 1, "reports error applying changes");
+    tt.deepEqual(b.getState(), { user: {} }, "nothing is changed");
+  });
+});
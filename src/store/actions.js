@@ -0,0 +1,123 @@
+const GeneratorFunction = Object.getPrototypeOf(function* () {}).constructor;
+
+/**
+ * Registry of actions defined with stable string types, so that they can be
+ * found by type, e.g. to dispatch actions sent by devtools or other threads.
+ * Types are namespaced, e.g. "todos/reset", to avoid collision.
+ */
+export function createActionRegistry() {
+  const actions = new Map(); // type => action
+
+  return {
+    // define actions, returns dispatchers calling dispatch with them
+    define(definitions, namespace, dispatch) {
+      const prefix = namespace ? `${namespace}/` : "";
+      const entries = Object.entries(definitions).map(([key, fn]) => {
+        const type = `${prefix}${key}`;
+        if (typeof fn !== "function") {
+          throw new TypeError(`Action "${type}" is not a function!`);
+        }
+        if (actions.has(type)) {
+          throw new Error(`Action "${type}" has already been defined!`);
+        }
+        return [key, type, fn];
+      });
+
+      // only define if all are valid
+      return Object.freeze(Object.fromEntries(entries.map(([key, type, fn]) => {
+        const action = typed(fn, type);
+        actions.set(type, action);
+        const dispatcher = (...args) => dispatch(action, ...args);
+        Object.defineProperties(dispatcher, {
+          name: { value: type },
+          type: { value: type },
+          action: { value: action },
+        });
+        return [key, dispatcher];
+      })));
+    },
+
+    get(type) {
+      return actions.get(type);
+    },
+  };
+}
+
+// pattern is a type (or name) of action, an action, a dispatcher
+// returned by defineActions(), or an array of them
+export function matchAction(pattern) {
+  if (Array.isArray(pattern)) {
+    const matchers = pattern.map(matchAction);
+    return (action) => matchers.some(matches => matches(action));
+  }
+  if (typeof pattern === "string") {
+    return (action) => action.name === pattern;
+  }
+  const fn = pattern.action || pattern;
+  return (action) => !!findOriginal(action, (a) => a === fn);
+}
+
+/**
+ * Wrap action with fn, e.g. to run it in a slice or by a middleware. The
+ * wrapper has same name, `original` is the action wrapped, and `slice` is
+ * kept; so middlewares can still tell what action it is.
+ */
+export function wrapAction(action, fn, props = {}) {
+  return Object.defineProperties(fn, {
+    name: { value: action.name },
+    original: { value: action },
+    ...(action.slice && { slice: { value: action.slice } }),
+    ...Object.fromEntries(Reflect.ownKeys(props).map(key => [key, { value: props[key] }])),
+  });
+}
+
+/**
+ * Memoize `wrap(action, ...args)`, so that same action gets same wrapper and
+ * identity checks still work; `keyOf(...args)` tells apart wrappers of same
+ * action made with different args.
+ */
+export function memoizeWrapper(wrap, keyOf = () => undefined) {
+  const wrappers = new WeakMap(); // action => key => wrapper
+  return (action, ...args) => {
+    const key = keyOf(...args);
+    let byKey = wrappers.get(action);
+    byKey || wrappers.set(action, byKey = new Map());
+    byKey.has(key) || byKey.set(key, wrap(action, ...args));
+    return byKey.get(key);
+  };
+}
+
+// the action itself or any action wrapped by it matching predicate
+export function findOriginal(action, predicate) {
+  for (let a = action; a; a = a.original) {
+    if (predicate(a)) {
+      return a;
+    }
+  }
+}
+
+// value of marker set on the action itself or any action wrapped by it
+export function findMarker(action, key) {
+  return findOriginal(action, (a) => a[key] !== undefined)?.[key];
+}
+
+// wrap function as an action named by its type, so that devtools show it;
+// function itself is not changed as it may be defined more than once
+function typed(fn, type) {
+  // generator functions stay generator functions, e.g. sagas
+  const action = fn instanceof GeneratorFunction
+    ? function* (...args) {
+      return yield* fn.apply(this, args);
+    }
+    : function (...args) {
+      return fn.apply(this, args);
+    };
+  // keep markers of function, e.g. optimistic
+  Object.getOwnPropertySymbols(fn).forEach((key) => {
+    Object.defineProperty(action, key, Object.getOwnPropertyDescriptor(fn, key));
+  });
+  return Object.defineProperties(action, {
+    name: { value: type },
+    type: { value: type },
+  });
+}
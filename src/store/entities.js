@@ -0,0 +1,136 @@
+import { createSelector } from "./selector.js";
+
+/**
+ * Create an adapter of normalized entity collections, i.e. `{ ids, byId }`,
+ * operations mutate the draft passed in so they can be dispatched as actions.
+ */
+export function createEntityAdapter({ selectId = (entity) => entity.id, sortComparer } = {}) {
+  const has = (state, id) => state.byId[id] !== undefined;
+
+  // sort ids after entities are added or changed
+  const sortIds = (state) => {
+    if (sortComparer) {
+      const { ids, byId } = state;
+      const sorted = [...ids].sort((a, b) => sortComparer(byId[a], byId[b]));
+      // only replace if order changed, to keep same array otherwise
+      sorted.some((id, i) => id !== ids[i]) && (state.ids = sorted);
+    }
+  };
+
+  const insert = (state, entity) => {
+    const id = selectId(entity);
+    has(state, id) || state.ids.push(id);
+    state.byId[id] = entity;
+  };
+
+  const merge = (state, id, changes) => {
+    const entity = state.byId[id];
+    Object.assign(entity, changes);
+    const newId = selectId(entity);
+    // id may be changed too
+    if (newId !== id) {
+      delete state.byId[id];
+      if (has(state, newId)) {
+        state.ids.splice(state.ids.indexOf(id), 1);
+      } else {
+        state.ids[state.ids.indexOf(id)] = newId;
+      }
+      state.byId[newId] = entity;
+    }
+  };
+
+  const adapter = {
+    selectId,
+    sortComparer,
+
+    getInitialState(extra = {}) {
+      return { ids: [], byId: {}, ...extra };
+    },
+
+    // entities with ids already there are ignored
+    addOne: function addOne(state, entity) {
+      adapter.addMany(state, [entity]);
+    },
+
+    addMany: function addMany(state, entities) {
+      entities.forEach(entity => has(state, selectId(entity)) || insert(state, entity));
+      sortIds(state);
+    },
+
+    // entities with ids already there are replaced
+    setOne: function setOne(state, entity) {
+      adapter.setMany(state, [entity]);
+    },
+
+    setMany: function setMany(state, entities) {
+      entities.forEach(entity => insert(state, entity));
+      sortIds(state);
+    },
+
+    setAll: function setAll(state, entities) {
+      state.ids = [];
+      state.byId = {};
+      adapter.setMany(state, entities);
+    },
+
+    // changes are shallow merged, ids not there are ignored
+    updateOne: function updateOne(state, update) {
+      adapter.updateMany(state, [update]);
+    },
+
+    updateMany: function updateMany(state, updates) {
+      updates.forEach(({ id, changes }) => has(state, id) && merge(state, id, changes));
+      sortIds(state);
+    },
+
+    // entities with ids already there are shallow merged, added otherwise
+    upsertOne: function upsertOne(state, entity) {
+      adapter.upsertMany(state, [entity]);
+    },
+
+    upsertMany: function upsertMany(state, entities) {
+      entities.forEach((entity) => {
+        const id = selectId(entity);
+        has(state, id) ? merge(state, id, entity) : insert(state, entity);
+      });
+      sortIds(state);
+    },
+
+    removeOne: function removeOne(state, id) {
+      adapter.removeMany(state, [id]);
+    },
+
+    removeMany: function removeMany(state, ids) {
+      const removed = new Set(ids.filter(id => has(state, id)).map(String));
+      if (removed.size) {
+        removed.forEach(id => delete state.byId[id]);
+        state.ids = state.ids.filter(id => !removed.has(String(id)));
+      }
+    },
+
+    removeAll: function removeAll(state) {
+      state.ids = [];
+      state.byId = {};
+    },
+
+    /**
+     * Selectors of collection selected by `selectState`, the state passed by
+     * default. `selectAll` is memoized, same array is returned until ids or
+     * any entity has changed.
+     */
+    getSelectors(selectState = (state) => state) {
+      return {
+        selectIds: (state) => selectState(state).ids,
+        selectEntities: (state) => selectState(state).byId,
+        selectAll: createSelector((state) => {
+          const { ids, byId } = selectState(state);
+          return ids.map(id => byId[id]);
+        }),
+        selectTotal: (state) => selectState(state).ids.length,
+        selectById: (state, id) => selectState(state).byId[id],
+      };
+    },
+  };
+
+  return Object.freeze(adapter);
+}
@@ -0,0 +1,118 @@
+import test from "tape";
+
+import { createStore } from "./store.js";
+import { tick } from "../test-utils.js";
+import { createEntityAdapter } from "./entities.js";
+
+test("createEntityAdapter", async (t) => {
+  const plain = (value) => JSON.parse(JSON.stringify(value));
+
+  t.test("creates initial state", (tt) => {
+    const adapter = createEntityAdapter();
+    tt.deepEqual(adapter.getInitialState(), { ids: [], byId: {} });
+    tt.deepEqual(adapter.getInitialState({ loading: false }), { ids: [], byId: {}, loading: false });
+    tt.end();
+  });
+
+  t.test("adds, sets and removes entities on drafts", async (tt) => {
+    const adapter = createEntityAdapter();
+    const store = createStore({ users: adapter.getInitialState() });
+    const users = store.slice("users");
+
+    users.dispatch(adapter.addOne, { id: 1, name: "a" });
+    users.dispatch(adapter.addMany, [{ id: 2, name: "b" }, { id: 1, name: "ignored" }]);
+    await tick();
+    tt.deepEqual(plain(users.getState()), {
+      ids: [1, 2],
+      byId: { 1: { id: 1, name: "a" }, 2: { id: 2, name: "b" } },
+    }, "existing ones are ignored when added");
+
+    users.dispatch(adapter.setOne, { id: 1, name: "aa" });
+    users.dispatch(adapter.removeMany, [2, 3]);
+    await tick();
+    tt.deepEqual(plain(users.getState()), { ids: [1], byId: { 1: { id: 1, name: "aa" } } });
+
+    users.dispatch(adapter.setAll, [{ id: 3, name: "c" }]);
+    await tick();
+    tt.deepEqual(plain(users.getState()), { ids: [3], byId: { 3: { id: 3, name: "c" } } });
+
+    users.dispatch(adapter.removeOne, 3);
+    users.dispatch(adapter.addOne, { id: 4, name: "d" });
+    users.dispatch(adapter.removeAll);
+    await tick();
+    tt.deepEqual(plain(users.getState()), { ids: [], byId: {} });
+    tt.end();
+  });
+
+  t.test("updates and upserts entities", async (tt) => {
+    const adapter = createEntityAdapter({ selectId: (user) => user.key });
+    const store = createStore(adapter.getInitialState());
+    store.dispatch(adapter.setAll, [{ key: "a", name: "a" }, { key: "b", name: "b" }]);
+    const unchanged = () => store.getState().byId.b;
+    await tick();
+    const b = unchanged();
+
+    store.dispatch(adapter.updateOne, { id: "a", changes: { age: 1 } });
+    store.dispatch(adapter.updateMany, [{ id: "missing", changes: { age: 2 } }]);
+    store.dispatch(adapter.upsertMany, [{ key: "a", name: "aa" }, { key: "c", name: "c" }]);
+    await tick();
+    tt.deepEqual(plain(store.getState()), {
+      ids: ["a", "b", "c"],
+      byId: { a: { key: "a", name: "aa", age: 1 }, b: { key: "b", name: "b" }, c: { key: "c", name: "c" } },
+    }, "changes are shallow merged");
+    tt.equal(unchanged(), b, "entities not changed are kept as is");
+
+    store.dispatch((state) => adapter.updateOne(state, { id: "c", changes: { key: "d" } }));
+    await tick();
+    tt.deepEqual(store.getState().ids, ["a", "b", "d"], "id can be changed");
+    tt.deepEqual(plain(store.getState().byId.d), { key: "d", name: "c" });
+    tt.end();
+  });
+
+  t.test("keeps ids sorted", async (tt) => {
+    const adapter = createEntityAdapter({ sortComparer: (a, b) => a.name.localeCompare(b.name) });
+    const store = createStore(adapter.getInitialState());
+    store.dispatch(adapter.addMany, [{ id: 1, name: "c" }, { id: 2, name: "a" }]);
+    store.dispatch(adapter.upsertOne, { id: 3, name: "b" });
+    await tick();
+    tt.deepEqual(store.getState().ids, [2, 3, 1]);
+
+    const ids = store.getState().ids;
+    store.dispatch(adapter.updateOne, { id: 1, changes: { age: 1 } });
+    await tick();
+    tt.equal(store.getState().ids, ids, "same ids if order not changed");
+
+    store.dispatch(adapter.updateOne, { id: 1, changes: { name: "0" } });
+    await tick();
+    tt.deepEqual(store.getState().ids, [1, 2, 3], "sorted again after updated");
+    tt.end();
+  });
+
+  t.test("has memoized selectors", async (tt) => {
+    const adapter = createEntityAdapter();
+    const store = createStore({ users: adapter.getInitialState(), other: 0 });
+    const { selectAll, selectById, selectTotal, selectIds, selectEntities } =
+      adapter.getSelectors((state) => state.users);
+    store.dispatch((state) => adapter.setAll(state.users, [{ id: 1, name: "a" }, { id: 2, name: "b" }]));
+    await tick();
+
+    const all = store.select(selectAll);
+    tt.deepEqual(plain(all), [{ id: 1, name: "a" }, { id: 2, name: "b" }]);
+    tt.equal(all[0], store.getState().users.byId[1], "entities in state");
+    tt.equal(store.select(state => selectById(state, 2)).name, "b");
+    tt.equal(store.select(selectTotal), 2);
+    tt.equal(store.select(selectIds), store.getState().users.ids);
+    tt.equal(store.select(selectEntities), store.getState().users.byId);
+
+    store.dispatch((state) => { state.other++; });
+    await tick();
+    tt.equal(store.select(selectAll), all, "same array if entities not changed");
+
+    store.dispatch((state) => adapter.updateOne(state.users, { id: 2, changes: { name: "bb" } }));
+    await tick();
+    const updated = store.select(selectAll);
+    tt.notEqual(updated, all, "recomputed if any changed");
+    tt.equal(updated[0], all[0], "entities not changed are shared");
+    tt.end();
+  });
+});
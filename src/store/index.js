@@ -1 +1,7 @@
 export { createStore } from "./store.js";
+export { createSelector } from "./selector.js";
+export { createResources, invalidates } from "./resources.js";
+export { createEntityAdapter } from "./entities.js";
+export { assertMigrations, versionKey } from "./migrations.js";
+export { serialize, deserialize } from "./serialize.js";
+export { serializeForScript, renderStateScript, readState } from "./ssr.js";
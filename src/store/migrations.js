@@ -0,0 +1,75 @@
+import { identity } from "./utils.js";
+
+// key of the version marker in state
+export const versionKey = "_version";
+
+/**
+ * Create a function migrating state to `version`, by calling migrations in
+ * order from the one after version of the state. Each migration is keyed by
+ * the version it upgrades to, and should return new state, as state may be
+ * frozen. State without version marker is regarded as current version.
+ */
+export function createMigrate({ version, migrations = {} } = {}) {
+  if (version === undefined) {
+    return identity;
+  }
+  if (!Number.isInteger(version) || version < 0) {
+    throw new TypeError(`Invalid state version: ${version}`);
+  }
+
+  return (state) => {
+    const from = state?.[versionKey] ?? version;
+    if (!Number.isInteger(from)) {
+      throw new TypeError(`Invalid state version: ${from}`);
+    }
+    if (from > version) {
+      throw new Error(`State version ${from} is newer than store version ${version}!`);
+    }
+
+    let migrated = state;
+    for (let to = from + 1; to <= version; to++) {
+      const migration = migrations[to];
+      if (typeof migration !== "function") {
+        throw new Error(`Missing migration to version ${to}!`);
+      }
+      try {
+        migrated = migration(migrated);
+      } catch (error) {
+        throw new Error(`Error migrating state to version ${to}: ${error.message}`, { cause: error });
+      }
+    }
+    return migrated?.[versionKey] === version ? migrated : { ...migrated, [versionKey]: version };
+  };
+}
+
+/**
+ * Test helper asserting every migration path; migrates snapshot of each old
+ * version to current version, throws if any snapshot is missing or fails.
+ * Returns migrated states keyed by versions of snapshots to check further.
+ */
+export function assertMigrations({ version, migrations = {} }, snapshots) {
+  const migrate = createMigrate({ version, migrations });
+  const oldest = Math.min(version, ...Object.keys(migrations).map(v => Number(v) - 1));
+
+  const errors = [];
+  const results = {};
+  for (let from = oldest; from < version; from++) {
+    if (!(from in snapshots)) {
+      errors.push(`Missing snapshot of version ${from}`);
+      continue;
+    }
+    try {
+      results[from] = migrate({ ...snapshots[from], [versionKey]: from });
+    } catch (error) {
+      errors.push(`Migrating from version ${from}: ${error.message}`);
+    }
+  }
+  Object.keys(migrations).filter(v => Number(v) > version).forEach(v => {
+    errors.push(`Migration to version ${v} is newer than version ${version}`);
+  });
+
+  if (errors.length) {
+    throw new Error(`Invalid migrations:\n${errors.join("\n")}`);
+  }
+  return results;
+}
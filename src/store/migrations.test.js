@@ -0,0 +1,67 @@
+import test from "tape";
+
+import { createMigrate, assertMigrations, versionKey } from "./migrations.js";
+
+test("migrations", (t) => {
+  const migrations = {
+    1: (state) => ({ ...state, todos: state.items, items: undefined }),
+    2: ({ todos, ...rest }) => ({ ...rest, todos: todos.map(title => ({ title })) }),
+  };
+
+  t.test("migrates state in order", (tt) => {
+    const migrate = createMigrate({ version: 2, migrations });
+
+    tt.deepEqual(migrate({ items: ["a"], [versionKey]: 0 }), {
+      todos: [{ title: "a" }],
+      items: undefined,
+      [versionKey]: 2,
+    }, "runs all migrations from version of state");
+    tt.deepEqual(migrate({ todos: ["a"], [versionKey]: 1 }), {
+      todos: [{ title: "a" }],
+      [versionKey]: 2,
+    }, "only runs migrations after version of state");
+
+    const current = { todos: [], [versionKey]: 2 };
+    tt.equal(migrate(current), current, "keeps state of current version");
+    tt.deepEqual(migrate({ todos: [] }), current, "regards state without marker as current version");
+    tt.end();
+  });
+
+  t.test("throws clear errors", (tt) => {
+    const migrate = createMigrate({ version: 2, migrations });
+    tt.throws(() => migrate({ [versionKey]: 3 }), /State version 3 is newer than store version 2!/);
+    tt.throws(() => migrate({ [versionKey]: "1" }), /Invalid state version: 1/);
+    tt.throws(() => migrate({ [versionKey]: 0 }), /Error migrating state to version 2: .*undefined/);
+    tt.throws(
+      () => createMigrate({ version: 2, migrations: { 2: migrations[2] } })({ [versionKey]: 0 }),
+      /Missing migration to version 1!/
+    );
+    tt.throws(() => createMigrate({ version: -1 }), /Invalid state version: -1/);
+    tt.end();
+  });
+
+  t.test("does nothing without version", (tt) => {
+    const state = {};
+    tt.equal(createMigrate()(state), state);
+    tt.end();
+  });
+
+  t.test("asserts every migration path", (tt) => {
+    const results = assertMigrations({ version: 2, migrations }, {
+      0: { items: ["a"] },
+      1: { todos: ["a"] },
+    });
+    tt.deepEqual(results[1], { todos: [{ title: "a" }], [versionKey]: 2 }, "returns migrated states");
+    tt.deepEqual(Object.keys(results), ["0", "1"]);
+
+    tt.throws(
+      () => assertMigrations({ version: 2, migrations }, { 1: {} }),
+      /Missing snapshot of version 0\nMigrating from version 1: Error migrating state to version 2/
+    );
+    tt.throws(
+      () => assertMigrations({ version: 1, migrations }, { 0: { items: [] } }),
+      /Migration to version 2 is newer than version 1/
+    );
+    tt.end();
+  });
+});
@@ -0,0 +1,69 @@
+import { getTypeOf } from "./utils.js";
+
+/**
+ * Apply patches in order to the draft state held by `holder[key]`,
+ * holder is needed so that the whole state can be replaced.
+ *
+ * Patches are JSON Patch like operations recorded by proxy, path is an array
+ * of keys instead of a string so that Map keys don't have to be strings.
+ * - object and array: key is the prop, patched by assigning or deleting it
+ * - Map: key is the entry key
+ * - Set: key is the item itself, it has no other identity
+ * - Date: always replaced as a whole
+ */
+export function applyPatches(holder, key, patches, { rebase = false } = {}) {
+  patches.forEach(patch => applyPatch(holder, key, patch, rebase));
+}
+
+function applyPatch(holder, rootKey, { op, path, value }, rebase) {
+  let parent = holder;
+  let key = rootKey;
+  path.forEach(k => {
+    parent = getChild(parent, key, path);
+    key = k;
+  });
+
+  const remove = op === "remove";
+  if (!remove && op !== "add" && op !== "replace") {
+    throw new TypeError(`Unsupported patch operation: ${op}`);
+  }
+
+  switch (getTypeOf(parent)) {
+    case "array":
+      // rebased onto an array which may have changed, e.g. items added
+      // before are removed or other items are appended; items appended
+      // are still appended, rather than set over other items
+      if (rebase && op === "add" && /^\d+$/.test(key) && (key in parent || Number(key) > parent.length)) {
+        key = String(parent.length);
+      }
+      remove ? delete parent[key] : parent[key] = value;
+      break;
+    case "object":
+      remove ? delete parent[key] : parent[key] = value;
+      break;
+    case "map":
+      remove ? parent.delete(key) : parent.set(key, value);
+      break;
+    case "set":
+      remove ? parent.delete(key) : parent.add(value);
+      break;
+    default:
+      throw new TypeError(`Can not apply patch to path: ${toString(path)}`);
+  }
+}
+
+function getChild(parent, key, path) {
+  switch (getTypeOf(parent)) {
+    case "object":
+    case "array":
+      return parent[key];
+    case "map":
+      return parent.get(key);
+    default:
+      throw new TypeError(`Can not apply patch to path: ${toString(path)}`);
+  }
+}
+
+function toString(path) {
+  return path.map(String).join("/");
+}
@@ -0,0 +1,106 @@
+import { getTypeOf } from "./utils.js";
+
+/**
+ * Get value at path in state, following the same keys as patches;
+ * returns undefined if any value along the path is missing.
+ */
+export function getIn(state, path) {
+  let value = state;
+  for (const key of path) {
+    switch (getTypeOf(value)) {
+      case "object":
+      case "array":
+        value = value[key];
+        break;
+      case "map":
+        value = value.get(key);
+        break;
+      default:
+        return undefined;
+    }
+  }
+  return value;
+}
+
+// whether value at path is inside a Set, patches of Set items use
+// the items as keys, which can't be found by copies of them
+export function isInSet(state, path) {
+  return path.some((_, i) => getTypeOf(getIn(state, path.slice(0, i))) === "set");
+}
+
+/**
+ * Index of entries registered at paths, a tree of nodes keyed by path keys.
+ * Entries affected by a change can be collected by walking the changed path
+ * only, so the cost depends on the change rather than the number of entries.
+ */
+export function createPathIndex() {
+  const root = newNode();
+
+  return {
+    // register entry at path, returns a function to remove it
+    add(path, entry) {
+      const nodes = [root];
+      path.forEach((key, i) => {
+        let node = nodes[i].children.get(key);
+        if (!node) {
+          node = newNode();
+          nodes[i].children.set(key, node);
+        }
+        nodes.push(node);
+      });
+      nodes[path.length].entries.add(entry);
+
+      return () => {
+        nodes[path.length].entries.delete(entry);
+        // prune nodes no longer needed, from the leaf up
+        for (let i = path.length; i > 0 && isEmpty(nodes[i]); i--) {
+          nodes[i - 1].children.get(path[i - 1]) === nodes[i] &&
+            nodes[i - 1].children.delete(path[i - 1]);
+        }
+      };
+    },
+
+    // collect entries at, above or below changed path into result
+    collect(path, result) {
+      collectPath(root, path, 0, result);
+      return result;
+    },
+
+    get isEmpty() {
+      return isEmpty(root);
+    },
+  };
+}
+
+function collectPath(node, path, i, result) {
+  if (i === path.length) {
+    // the whole subtree has been changed
+    collectAll(node, result);
+  } else {
+    // value at this path contains the change
+    node.entries.forEach(entry => result.add(entry));
+    keysOf(path[i]).forEach(key => {
+      const child = node.children.get(key);
+      child && collectPath(child, path, i + 1, result);
+    });
+  }
+}
+
+function collectAll(node, result) {
+  node.entries.forEach(entry => result.add(entry));
+  node.children.forEach(child => collectAll(child, result));
+}
+
+// array index in patches is a string, but it may be a number in path
+// subscribed; try both as it is not known whether parent is an array
+function keysOf(key) {
+  return typeof key === "string" && String(Number(key)) === key ? [key, Number(key)] : [key];
+}
+
+function newNode() {
+  return { entries: new Set(), children: new Map() };
+}
+
+function isEmpty(node) {
+  return !node.entries.size && !node.children.size;
+}
@@ -8,10 +8,14 @@ const mapGet = (target, key) => target.get(key);
 const mapHas = (target, key) => target.has(key);
 const mapDelete = (target, key) => target.delete(key);
 const mapSet = (target, key, value) => target.set(key, value);
+const hasOwn = (target, key) => Object.prototype.hasOwnProperty.call(target, key);
 
 /**
  * Create a new proxy which traps all interactions with the target.
  * When proxy is mutated, it doesn't mutate target but creates a copy instead.
+ *
+ * Every mutation is also reported to parent's optional `onPatch` as a
+ * JSON Patch like operation and its inverse, with path relative to target.
  */
 export function createProxy(initTarget, initParent) {
   const [handler, Surrogate, getProp, setProp, hasProp, deleteProp] = {
@@ -26,6 +30,9 @@ export function createProxy(initTarget, initParent) {
     return { proxy: initTarget };
   }
 
+  // only own props count when working out what a change replaces
+  const hasOwnProp = hasProp === Reflect.has ? hasOwn : hasProp;
+
   let mutated = false;
   let target = initTarget;
   let parent = initParent;
@@ -89,7 +96,14 @@ export function createProxy(initTarget, initParent) {
       dateMethods[key] = (...args) => {
         refreshTarget();
         const execute = () => target[key].apply(target, args);
-        return isSet ? mutate(execute) : execute();
+        return isSet ? mutate(() => {
+          const before = freeze(new Date(target.getTime()));
+          const result = execute();
+          // date is a leaf value, always report it as replaced
+          const after = freeze(new Date(target.getTime()));
+          record(replacePatch([], after), replacePatch([], before));
+          return result;
+        }) : execute();
       }
     });
     // do not override special ones
@@ -206,7 +220,10 @@ export function createProxy(initTarget, initParent) {
 
       defineProperty(_, prop, descriptor) {
         refreshTarget();
-        return mutate(() => Reflect.defineProperty(target, prop, descriptor));
+        return mutate(() => "value" in descriptor
+          ? recordedSet(prop, descriptor.value, () => Reflect.defineProperty(target, prop, descriptor))
+          : Reflect.defineProperty(target, prop, descriptor)
+        );
       },
 
       has: (_, prop) => Reflect.has(refreshTarget(), prop),
@@ -277,7 +294,7 @@ export function createProxy(initTarget, initParent) {
       oldValue !== value && mutate(() => {
         // detach old proxy
         deleteChildProxy(key);
-        return setProp(target, key, newValue);
+        return recordedSet(key, newValue);
       });
     }
     return true;
@@ -293,7 +310,7 @@ export function createProxy(initTarget, initParent) {
     if (isProxy(newValue)) {
       adoptProxy(newValue, newValue[proxySymbol].getTarget());
     } else {
-      !target.has(value) && mutate(() => target.add(newValue));
+      !target.has(value) && mutate(() => recordedAdd(newValue));
     }
   }
 
@@ -310,13 +327,19 @@ export function createProxy(initTarget, initParent) {
     return {
       detach: () => proxyChildren.delete(key),
       refresh: () => parent?.refresh(),
+      // Set items have no path, changes made to an item are
+      // reported by Set itself as replacing the item instead
+      onPatch: (patch, inversePatch) => getProp !== setGet && record(
+        { ...patch, path: [key, ...patch.path] },
+        { ...inversePatch, path: [key, ...inversePatch.path] }
+      ),
       onCopied: (newVal, adopting) => {
         if (getProp !== setGet) {
-          return mutate(() => setProp(target, key, newVal));
+          return mutate(() => adopting ? recordedSet(key, newVal) : setProp(target, key, newVal));
         }
         // Set needs special treatment
         if (adopting) {
-          !target.has(newVal) && mutate(() => target.add(newVal));
+          !target.has(newVal) && mutate(() => recordedAdd(newVal));
         } else {
           // Set doesn't support updating an item in place unfortunately
           // need to make a copy when item turns into mutated state
@@ -334,6 +357,10 @@ export function createProxy(initTarget, initParent) {
             }
             return v === key ? newVal : v;
           });
+          record(removePatch([key]), addPatch([key], key));
+          record(addPatch([newVal], newVal), removePatch([newVal]));
+          // item is known by its new value from now on
+          key = newVal;
         }
       }
     };
@@ -341,8 +368,11 @@ export function createProxy(initTarget, initParent) {
 
   function deleteChild(key, child) {
     return hasProp(refreshTarget(), key) && mutate(() => {
+      const has = hasOwnProp(target, key);
+      const oldValue = getProp(target, key);
       const r = deleteProp(target, key);
       deleteChildProxy(key, child);
+      has && record(removePatch([key]), addPatch([key], oldValue));
       return r;
     });
   }
@@ -355,12 +385,51 @@ export function createProxy(initTarget, initParent) {
 
   function clearChildren() {
     refreshTarget().size > 0 && mutate(() => {
+      const before = snapshot();
       proxyChildren.forEach(child => child.setParent(null));
       proxyChildren.clear();
       target.clear();
+      record(replacePatch([], freeze(new Surrogate())), replacePatch([], before));
     });
   }
 
+  // set key on target and report the change
+  function recordedSet(key, value, doSet = () => setProp(target, key, value)) {
+    const isArray = Array.isArray(target);
+    const has = hasOwnProp(target, key);
+    let inversePatch;
+    if (has) {
+      inversePatch = isArray && key === "length" && value < target.length
+        // truncating drops items, need to restore whole array
+        ? replacePatch([], snapshot())
+        : replacePatch([key], getProp(target, key));
+    } else {
+      inversePatch = isArray && key >= target.length
+        // new index extends array, undo by restoring length
+        ? replacePatch(["length"], target.length)
+        : removePatch([key]);
+    }
+    const result = doSet();
+    record(has ? replacePatch([key], value) : addPatch([key], value), inversePatch);
+    return result;
+  }
+
+  // add value to target Set and report the change
+  function recordedAdd(value) {
+    target.add(value);
+    record(addPatch([value], value), removePatch([value]));
+  }
+
+  // report a change made to target to parent, if it is interested
+  function record(patch, inversePatch) {
+    parent?.onPatch?.(patch, inversePatch);
+  }
+
+  // a frozen shallow copy of current target
+  function snapshot() {
+    return freeze(copy(target), true);
+  }
+
   function mutate(doMutate, copyItem) {
     const shouldCopy = !mutated;
     if (shouldCopy) {
@@ -389,6 +458,18 @@ export function createProxy(initTarget, initParent) {
   }
 }
 
+function addPatch(path, value) {
+  return { op: "add", path, value };
+}
+
+function replacePatch(path, value) {
+  return { op: "replace", path, value };
+}
+
+function removePatch(path) {
+  return { op: "remove", path };
+}
+
 function isProxy(value) {
   return value?.[proxySymbol];
 }
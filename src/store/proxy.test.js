@@ -8,6 +8,7 @@ test("createProxy", async (t) => {
     let latest = target;
     const copies = [];
     const listeners = [];
+    const patches = [];
     const { proxy, setTarget, commit } = createProxy(target, {
       detach: noop,
       refresh: () => setTarget(latest),
@@ -15,8 +16,9 @@ test("createProxy", async (t) => {
         listeners.push(commit);
         copies.push(latest = copy);
       },
+      onPatch: (patch, inversePatch) => patches.push([patch, inversePatch]),
     });
-    return { proxy, copies, listeners, commit() {
+    return { proxy, copies, listeners, patches, commit() {
       listeners.forEach(l => l());
       listeners.length = 0; // empty listeners array
     } };
@@ -952,4 +954,116 @@ test("createProxy", async (t) => {
     tt.equal(proxy.obj2.count, 2, "old prop is not mutated after commit");
     tt.equal(proxy.obj3.count, 3, "new prop is mutated after commit");
   });
+
+  t.test("reports patches", async (tt) => {
+    tt.test("for Object and Array", async (ttt) => {
+      const target = freeze({ obj: { prop: "value" }, arr: [1, 2] });
+      const { proxy, patches } = newProxy(target);
+
+      proxy.obj.prop = "changed";
+      proxy.obj.added = true;
+      delete proxy.obj.prop;
+      proxy.arr.push(3);
+      proxy.arr.length = 1;
+
+      ttt.deepEqual(patches, [
+        [
+          { op: "replace", path: ["obj", "prop"], value: "changed" },
+          { op: "replace", path: ["obj", "prop"], value: "value" }
+        ],
+        [
+          { op: "add", path: ["obj", "added"], value: true },
+          { op: "remove", path: ["obj", "added"] }
+        ],
+        [
+          { op: "remove", path: ["obj", "prop"] },
+          { op: "add", path: ["obj", "prop"], value: "changed" }
+        ],
+        [
+          { op: "add", path: ["arr", "2"], value: 3 },
+          { op: "replace", path: ["arr", "length"], value: 2 }
+        ],
+        [
+          { op: "replace", path: ["arr", "length"], value: 1 },
+          { op: "replace", path: ["arr"], value: [1, 2, 3] }
+        ],
+      ], "reports a patch and its inverse for each change");
+    });
+
+    tt.test("for Map", async (ttt) => {
+      const target = freeze({ map: new Map([["key", { count: 0 }]]) });
+      const { proxy, patches } = newProxy(target);
+
+      proxy.map.get("key").count++;
+      proxy.map.set(1, "one");
+      proxy.map.delete("key");
+      proxy.map.clear();
+
+      ttt.deepEqual(toNative(patches), [
+        [
+          { op: "replace", path: ["map", "key", "count"], value: 1 },
+          { op: "replace", path: ["map", "key", "count"], value: 0 }
+        ],
+        [
+          { op: "add", path: ["map", 1], value: "one" },
+          { op: "remove", path: ["map", 1] }
+        ],
+        [
+          { op: "remove", path: ["map", "key"] },
+          { op: "add", path: ["map", "key"], value: { count: 1 } }
+        ],
+        [
+          { op: "replace", path: ["map"], value: new Map() },
+          { op: "replace", path: ["map"], value: new Map([[1, "one"]]) }
+        ],
+      ], "uses entry key as path");
+    });
+
+    tt.test("for Set", async (ttt) => {
+      const item = { id: 1 };
+      const target = freeze({ set: new Set([item]) });
+      const { proxy, patches } = newProxy(target);
+
+      proxy.set.values().next().value.id = 2;
+      proxy.set.add("new");
+      proxy.set.delete("new");
+
+      const [[removeOld], [addNew]] = patches;
+      ttt.equal(removeOld.path[1], item, "uses item itself as path");
+      ttt.equal(addNew.path[1], addNew.value, "uses new item as path when item is mutated");
+      ttt.deepEqual(toNative(patches), [
+        [
+          { op: "remove", path: ["set", { id: 1 }] },
+          { op: "add", path: ["set", { id: 1 }], value: { id: 1 } }
+        ],
+        [
+          { op: "add", path: ["set", { id: 2 }], value: { id: 2 } },
+          { op: "remove", path: ["set", { id: 2 }] }
+        ],
+        [
+          { op: "add", path: ["set", "new"], value: "new" },
+          { op: "remove", path: ["set", "new"] }
+        ],
+        [
+          { op: "remove", path: ["set", "new"] },
+          { op: "add", path: ["set", "new"], value: "new" }
+        ],
+      ], "reports mutated item as being replaced");
+    });
+
+    tt.test("for Date", async (ttt) => {
+      const target = freeze({ date: new Date(0) });
+      const { proxy, patches } = newProxy(target);
+
+      proxy.date.setTime(1000);
+
+      ttt.deepEqual(toNative(patches), [
+        [
+          { op: "replace", path: ["date"], value: new Date(1000) },
+          { op: "replace", path: ["date"], value: new Date(0) }
+        ],
+      ], "replaces date as a whole");
+      ttt.equal(Object.isFrozen(patches[0][0].value), true, "date value is frozen");
+    });
+  });
 });
@@ -0,0 +1,43 @@
+import { createStore } from "./store.js";
+import { applyPatches } from "./patches.js";
+
+/**
+ * Recompute state after a recorded action, on a temporary store without
+ * middlewares. Sync part of action is replayed by calling it again; async
+ * parts can't be, the patches they committed are applied instead.
+ * State is not changed if action fails.
+ */
+export function replayAction(state, { action, args, isAsync, patches }) {
+  const temp = createStore(state);
+  try {
+    if (isAsync) {
+      temp.applyPatches(patches);
+    } else {
+      const result = temp.transaction(action, ...args);
+      // async part is not replayed, it fails as store is destroyed below
+      typeof result?.then === "function" && result.catch(() => {});
+    }
+    return temp.getState();
+  } catch {
+    return state;
+  } finally {
+    temp.destroy();
+  }
+}
+
+/**
+ * Apply patches recorded on another state, e.g. to rebase changes of other
+ * actions after some are removed, without calling any action again.
+ * State is not changed if patches can't be applied.
+ */
+export function rebasePatches(state, patches) {
+  const temp = createStore(state);
+  try {
+    temp.transaction((draft) => applyPatches({ draft }, "draft", patches, { rebase: true }));
+    return temp.getState();
+  } catch {
+    return state;
+  } finally {
+    temp.destroy();
+  }
+}
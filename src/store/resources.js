@@ -0,0 +1,259 @@
+// Cache of async resources, e.g. data fetched from server, kept in state
+import { noop } from "./utils.js";
+import { wrapAction, memoizeWrapper, findMarker } from "./actions.js";
+
+const invalidatesKey = Symbol("invalidates");
+
+// same tags, either a function or tags of same value, share same wrapper
+const tagsKeyOf = (tags) => typeof tags === "function" ? tags : JSON.stringify([].concat(tags));
+const invalidating = memoizeWrapper((action, tags) => wrapAction(action, function (...args) {
+  return action.apply(this, args);
+}, { [invalidatesKey]: tags }), tagsKeyOf);
+
+const idle = Object.freeze({
+  status: "idle", // "idle" | "loading" | "success" | "error"
+  data: undefined,
+  error: undefined,
+  fetching: false, // whether a request is in flight
+  stale: true, // whether invalidated
+  updatedAt: 0, // when data was fetched
+  tags: Object.freeze([]),
+});
+
+/**
+ * Create a resource cache on store, state of entries are stored at `name`.
+ */
+export function createResources(store, { name = "resources", staleTime = 0, gcTime = 60_000 } = {}) {
+  const requests = new Map(); // key => request in flight
+  const subscribers = new Map(); // key => number of subscribers
+  const timers = new Map(); // key => timer collecting entry
+  const fetchers = new Map(); // key => fetch entry again, e.g. when invalidated
+
+  const module = store.registerModule(name, {
+    middlewares: [() => ({
+      execute(action, args, next) {
+        next(invalidatesOf(action) ? runnerOf(action) : action, args);
+      },
+
+      destroy() {
+        timers.forEach(clearTimeout);
+        timers.clear();
+        requests.forEach(request => request.cancel());
+        requests.clear();
+      },
+    })],
+  });
+
+  const getEntry = (key) => module.getState()?.[key];
+
+  // action invalidating tags when done
+  const runnerOf = memoizeWrapper((action) => wrapAction(action, function (state, ...args) {
+    const invalidate = () => resources.invalidate(resolveTags(invalidatesOf(action), args));
+    const result = action.call(this, state, ...args);
+    if (typeof result?.then !== "function") {
+      invalidate();
+      return result;
+    }
+    return Promise.resolve(result).then((value) => {
+      invalidate();
+      return value;
+    });
+  }));
+
+  const request = (key, fetcher, arg, tags) => {
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+    const pending = module.dispatch(fetchResource, key, fetcher, arg, tags);
+    requests.set(key, pending);
+    const done = () => {
+      if (requests.get(key) === pending) {
+        requests.delete(key);
+        subscribers.get(key) || collect(key);
+      }
+    };
+    pending.then(done, done);
+    return pending;
+  };
+
+  // remove entry a while after it's not used
+  const collect = (key) => {
+    if (Number.isFinite(gcTime) && !timers.has(key)) {
+      timers.set(key, setTimeout(() => {
+        timers.delete(key);
+        if (!subscribers.get(key) && !requests.has(key)) {
+          fetchers.delete(key);
+          module.dispatch(removeResource, key);
+        }
+      }, gcTime));
+    }
+  };
+
+  const resources = {
+    /**
+     * Define a resource fetched by calling `fetcher(arg)` with an abort signal
+     * as `this.signal`; tags are used to invalidate entries.
+     */
+    define(resourceName, fetcher, options = {}) {
+      const { tags = [], staleTime: resourceStaleTime = staleTime } = options;
+      // args are serialized, so that equal args have same key
+      const keyOf = (arg) => `${resourceName}(${arg === undefined ? "" : JSON.stringify(arg)})`;
+
+      const fetch = (arg, { force = false } = {}) => {
+        const key = keyOf(arg);
+        fetchers.set(key, () => fetch(arg, { force: true }));
+        const pending = requests.get(key);
+        if (pending) {
+          return pending;
+        }
+        const entry = getEntry(key);
+        if (!force && entry?.status === "success" && !isStale(entry, resourceStaleTime)) {
+          return Promise.resolve(entry.data);
+        }
+        return request(key, fetcher, arg, tags);
+      };
+
+      return Object.freeze({
+        name: resourceName,
+
+        key: keyOf,
+
+        // entry of arg, idle if not fetched yet
+        get(arg) {
+          return getEntry(keyOf(arg)) || idle;
+        },
+
+        // selector of entry for arg, e.g. for store.subscribe
+        select(arg) {
+          const key = keyOf(arg);
+          return (state) => state[name]?.[key] || idle;
+        },
+
+        // resolved with data, cached one if not stale; requests are shared
+        fetch,
+
+        refetch(arg) {
+          return fetch(arg, { force: true });
+        },
+
+        // keep entry while subscribed, fetched if stale;
+        // listener is called with entry when it changes
+        subscribe(arg, listener) {
+          const key = keyOf(arg);
+          subscribers.set(key, (subscribers.get(key) || 0) + 1);
+          clearTimeout(timers.get(key));
+          timers.delete(key);
+          const unsubscribe = listener
+            ? store.subscribe([name, key], (entry, prev) => listener(entry || idle, prev || idle))
+            : noop;
+          // errors are kept in entry
+          fetch(arg).catch(noop);
+
+          let subscribed = true;
+          return () => {
+            if (subscribed) {
+              subscribed = false;
+              unsubscribe();
+              const count = subscribers.get(key) - 1;
+              count ? subscribers.set(key, count) : subscribers.delete(key);
+              count || requests.has(key) || collect(key);
+            }
+          };
+        },
+      });
+    },
+
+    // mark entries having any of the tags stale, subscribed ones are refetched
+    invalidate(tags) {
+      const invalidated = [].concat(tags);
+      const state = module.getState() || {};
+      const keys = Object.keys(state).filter(key => state[key].tags.some(tag => invalidated.includes(tag)));
+      if (keys.length) {
+        module.dispatch(invalidateResources, keys);
+        keys.forEach((key) => {
+          if (subscribers.get(key)) {
+            // data of request in flight may be outdated too
+            Promise.resolve(requests.get(key)).catch(noop).then(() => fetchers.get(key)?.().catch(noop));
+          }
+        });
+      }
+    },
+
+    destroy() {
+      store.unregisterModule(name);
+    },
+  };
+
+  return Object.freeze(resources);
+}
+
+/**
+ * Mark action as invalidating entries with tags when it's done successfully;
+ * tags can be a function of args of the action.
+ */
+export function invalidates(tags, action) {
+  return invalidating(action, tags);
+}
+
+function invalidatesOf(action) {
+  return findMarker(action, invalidatesKey);
+}
+
+function resolveTags(tags, args) {
+  return typeof tags === "function" ? tags(...args) : tags;
+}
+
+function isStale(entry, staleTime) {
+  return entry.stale || Date.now() - entry.updatedAt >= staleTime;
+}
+
+// actions changing entries
+
+async function fetchResource(resources, key, fetcher, arg, tags) {
+  const entry = entryOf(resources, key);
+  entry.fetching = true;
+  if (entry.status !== "success") {
+    entry.status = "loading";
+  }
+  let data, error, failed = false;
+  try {
+    data = await fetcher.call(this, arg);
+  } catch (e) {
+    error = e;
+    failed = true;
+  }
+  // may have been removed while fetching
+  const latest = entryOf(resources, key);
+  latest.fetching = false;
+  if (failed) {
+    latest.status = "error";
+    latest.error = error;
+    throw error;
+  }
+  Object.assign(latest, {
+    status: "success",
+    data,
+    error: undefined,
+    stale: false,
+    updatedAt: Date.now(),
+    tags: resolveTags(tags, [data, arg]),
+  });
+  return data;
+}
+
+// draft of entry, added if not there
+function entryOf(resources, key) {
+  resources[key] ??= { ...idle, tags: [] };
+  return resources[key];
+}
+
+function invalidateResources(resources, keys) {
+  keys.forEach((key) => {
+    if (resources[key]) {
+      resources[key].stale = true;
+    }
+  });
+}
+
+function removeResource(resources, key) {
+  delete resources[key];
+}
@@ -0,0 +1,179 @@
+import test from "tape";
+
+import { createStore } from "./store.js";
+import { tick } from "../test-utils.js";
+import { createResources, invalidates } from "./resources.js";
+
+test("resources", async (t) => {
+  // resources having todos, fetched todos are in calls
+  function createTodoResources(tt, options) {
+    const store = createStore({});
+    const resources = createResources(store, options);
+    // clear timers collecting entries
+    tt.teardown(() => resources.destroy());
+    const calls = [];
+    const todo = resources.define("todo", async (id) => {
+      calls.push(id);
+      await tick(5);
+      if (id < 0) {
+        throw new Error(`not found ${id}`);
+      }
+      return { id, title: `todo ${id}` };
+    }, { tags: (data, id) => ["todos", `todo:${id}`] });
+    return { store, resources, todo, calls };
+  }
+
+  t.test("stores status, data and error of entries in state", async (tt) => {
+    const { store, todo } = createTodoResources(tt);
+    tt.equal(todo.get(1).status, "idle", "idle before fetched");
+
+    const fetched = todo.fetch(1);
+    await tick();
+    tt.equal(store.getState().resources["todo(1)"].status, "loading", "stored at name of cache");
+    tt.ok(todo.get(1).fetching);
+    tt.deepEqual(await fetched, { id: 1, title: "todo 1" }, "resolved with data");
+    const entry = todo.get(1);
+    tt.equal(entry.status, "success");
+    tt.deepEqual(entry.data, { id: 1, title: "todo 1" });
+    tt.deepEqual(entry.tags, ["todos", "todo:1"]);
+    tt.equal(entry.fetching, false);
+    tt.equal(todo.select(1)(store.getState()), entry, "selector of entry");
+
+    await todo.fetch(-1).catch(error => tt.equal(error.message, "not found -1", "rejected if failed"));
+    tt.equal(todo.get(-1).status, "error");
+    tt.equal(todo.get(-1).error.message, "not found -1");
+    tt.end();
+  });
+
+  t.test("dedupes requests and caches data until stale", async (tt) => {
+    const { todo, calls } = createTodoResources(tt, { staleTime: 50 });
+    const [a, b] = await Promise.all([todo.fetch(1), todo.fetch(1)]);
+    tt.equal(a, b, "requests in flight are shared");
+    tt.deepEqual(calls, [1]);
+
+    tt.equal(await todo.fetch(1), a, "cached data if not stale");
+    tt.deepEqual(calls, [1]);
+
+    await todo.refetch(1);
+    tt.deepEqual(calls, [1, 1], "refetch fetches anyway");
+    tt.equal(todo.get(1).status, "success");
+
+    await tick(60);
+    await todo.fetch(1);
+    tt.deepEqual(calls, [1, 1, 1], "fetched again once stale");
+    tt.end();
+  });
+
+  t.test("keeps data while refetching", async (tt) => {
+    const { todo } = createTodoResources(tt);
+    await todo.fetch(1);
+    const refetched = todo.refetch(1);
+    await tick();
+    tt.equal(todo.get(1).status, "success");
+    tt.ok(todo.get(1).fetching);
+    tt.ok(todo.get(1).data);
+    await refetched;
+    tt.end();
+  });
+
+  t.test("subscribers get entry changes and fetch if stale", async (tt) => {
+    const { todo, calls } = createTodoResources(tt, { staleTime: Infinity });
+    const statuses = [];
+    const unsubscribe = todo.subscribe(2, (entry) => statuses.push(entry.status));
+    await tick(10);
+    tt.deepEqual(statuses, ["loading", "success"]);
+    tt.deepEqual(calls, [2]);
+
+    const unsubscribe2 = todo.subscribe(2);
+    await tick(10);
+    tt.deepEqual(calls, [2], "not fetched if fresh");
+    unsubscribe();
+    unsubscribe2();
+    tt.end();
+  });
+
+  t.test("invalidates entries by tags, refetching subscribed ones", async (tt) => {
+    const { resources, todo, calls } = createTodoResources(tt, { staleTime: Infinity });
+    const unsubscribe = todo.subscribe(1);
+    await todo.fetch(2);
+    await tick(10);
+    tt.deepEqual(calls, [1, 2]);
+
+    resources.invalidate("todo:2");
+    await tick();
+    tt.ok(todo.get(2).stale, "marked as stale");
+    tt.notOk(todo.get(1).stale);
+    tt.deepEqual(calls, [1, 2], "not refetched if not subscribed");
+    await todo.fetch(2);
+    tt.deepEqual(calls, [1, 2, 2], "fetched again when needed");
+
+    resources.invalidate(["todos"]);
+    await tick(10);
+    tt.deepEqual(calls, [1, 2, 2, 1], "subscribed ones are refetched");
+    tt.notOk(todo.get(1).stale);
+    unsubscribe();
+    tt.end();
+  });
+
+  t.test("invalidates entries when actions marked are done", async (tt) => {
+    const { store, todo, calls } = createTodoResources(tt, { staleTime: Infinity });
+    const unsubscribe = todo.subscribe(1);
+    await tick(10);
+
+    const rename = invalidates((id) => [`todo:${id}`], async function rename() {
+      await tick(5);
+    });
+    const failed = invalidates("todos", async function failed() {
+      throw new Error("failed");
+    });
+    await store.dispatch(failed).catch(() => {});
+    await tick(10);
+    tt.deepEqual(calls, [1], "not invalidated if failed");
+
+    await store.dispatch(rename, 1);
+    await tick(10);
+    tt.deepEqual(calls, [1, 1]);
+
+    const todos = store.defineActions({ clear: invalidates("todos", () => {}) }, { namespace: "todos" });
+    await todos.clear();
+    await tick(10);
+    tt.deepEqual(calls, [1, 1, 1], "defined actions");
+    tt.equal(invalidates("todos", failed.original), failed, "same wrapper for same action and tags");
+    tt.notEqual(invalidates("todo:1", failed.original), failed);
+    unsubscribe();
+    tt.end();
+  });
+
+  t.test("removes entries not used for a while", async (tt) => {
+    const { todo } = createTodoResources(tt, { gcTime: 20 });
+    const unsubscribe = todo.subscribe(1);
+    const unsubscribe2 = todo.subscribe(1);
+    await todo.fetch(2);
+    await tick(10);
+    unsubscribe();
+    unsubscribe();
+    await tick(30);
+    tt.equal(todo.get(2).status, "idle", "entries not subscribed are removed");
+    tt.equal(todo.get(1).status, "success", "kept while subscribed");
+
+    unsubscribe2();
+    await tick(10);
+    const resubscribe = todo.subscribe(1);
+    await tick(30);
+    tt.equal(todo.get(1).status, "success", "kept if subscribed again in time");
+    resubscribe();
+    await tick(30);
+    tt.equal(todo.get(1).status, "idle");
+    tt.end();
+  });
+
+  t.test("cancels requests and timers when destroyed", async (tt) => {
+    const { store, resources, todo } = createTodoResources(tt, { gcTime: 10 });
+    const fetched = todo.fetch(1);
+    await tick();
+    resources.destroy();
+    await fetched.catch(error => tt.equal(error.message, "Action has been cancelled!"));
+    tt.equal(store.getState().resources, undefined, "state removed");
+    tt.end();
+  });
+});
@@ -0,0 +1,65 @@
+import { noop } from "./utils.js";
+
+/**
+ * Resolve scheduler option of store, either one scheduler used for both
+ * action batching and selector notification, or `{ actions, notifications }`
+ * to use different ones. Each can be a name of built-in scheduler or a
+ * function `(task) => void` which calls task later.
+ */
+export function resolveSchedulers(option) {
+  const { actions, notifications } =
+    option !== null && typeof option === "object"
+      ? option
+      : { actions: option, notifications: option };
+  return {
+    actions: getScheduler(actions),
+    // async mutations are committed by actions scheduler, but never
+    // synchronously as more mutations may be made in same execution
+    commits: actions === "sync" ? queueMicrotask : getScheduler(actions),
+    notifications: getScheduler(notifications),
+  };
+}
+
+function getScheduler(scheduler = "microtask") {
+  if (typeof scheduler === "function") {
+    return scheduler;
+  }
+  switch (scheduler) {
+    case "microtask":
+      return queueMicrotask;
+    case "macrotask":
+      return (task) => setTimeout(task);
+    case "animationFrame":
+      // fallback to about one frame if not in browser
+      return typeof requestAnimationFrame === "function"
+        ? (task) => requestAnimationFrame(() => task())
+        : (task) => setTimeout(task, 16);
+    case "manual":
+      // only run when store is flushed
+      return noop;
+    case "sync":
+      return createSyncScheduler();
+    default:
+      throw new TypeError(`Unknown scheduler: ${scheduler}`);
+  }
+}
+
+// run task immediately, unless called from a running task;
+// then it runs after, so that tasks never run nested
+function createSyncScheduler() {
+  let queue = null;
+  return (task) => {
+    if (queue) {
+      queue.push(task);
+      return;
+    }
+    queue = [task];
+    try {
+      for (let i = 0; i < queue.length; i++) {
+        queue[i]();
+      }
+    } finally {
+      queue = null;
+    }
+  };
+}
@@ -0,0 +1,182 @@
+import { getTypeOf } from "./utils.js";
+
+const trackerSymbol = Symbol("tracker");
+
+/**
+ * Create a memoized selector which tracks what it reads from state.
+ * Selector is called with a read-tracking proxy of the state; next time,
+ * if nothing it read has a new reference, result of last call is returned
+ * without calling selector again. Thanks to structural sharing, a subtree
+ * with same reference has not changed, so no need to check further.
+ */
+export function createSelector(selector) {
+  let deps = null; // tree of values read in last call
+  let result;
+
+  const stats = { calls: 0, hits: 0, recomputations: 0 };
+
+  function memoized(state) {
+    stats.calls++;
+    if (deps && isUnchanged(deps, state)) {
+      stats.hits++;
+      return result;
+    }
+
+    stats.recomputations++;
+    deps = createDep(state);
+    result = unwrap(selector(track(state, deps)));
+    return result;
+  }
+
+  return Object.defineProperties(memoized, {
+    stats: { get: () => ({ ...stats, dependencies: countDeps(deps) }) },
+    // forget last result, selector will be called next time
+    reset: { value: () => (deps = null, result = undefined) },
+  });
+}
+
+function createDep(value) {
+  return {
+    value,
+    whole: false, // whether depends on whole value, e.g. keys or size read
+    children: new Map(),
+  };
+}
+
+function isUnchanged(dep, value) {
+  if (Object.is(dep.value, value)) {
+    return true;
+  }
+  // only need to check children if value itself is not used
+  if (dep.whole || !dep.children.size || getTypeOf(dep.value) !== getTypeOf(value)) {
+    return false;
+  }
+  for (const [key, child] of dep.children) {
+    if (!isUnchanged(child, getChild(value, key))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function countDeps(dep) {
+  let count = 0;
+  dep?.children.forEach(child => count += 1 + countDeps(child));
+  return count;
+}
+
+function getChild(value, key) {
+  switch (getTypeOf(value)) {
+    case "map":
+      return value.get(key);
+    case "object":
+    case "array":
+      return value[key];
+    default:
+  }
+}
+
+function isTracker(value) {
+  return value?.[trackerSymbol];
+}
+
+// create a proxy which records values read into dep
+function track(target, dep) {
+  const Surrogate = { "object": Object, "array": Array, "map": Map, "set": Set }[getTypeOf(target)];
+  if (!Surrogate) {
+    return target;
+  }
+
+  const trackers = new Map(); // child trackers, same proxy for same child
+
+  const readChild = (key) => {
+    const value = getChild(target, key);
+    dep.children.has(key) || dep.children.set(key, createDep(value));
+    let tracker = trackers.get(key);
+    if (!tracker) {
+      tracker = track(value, dep.children.get(key));
+      trackers.set(key, tracker);
+    }
+    return tracker;
+  };
+
+  // depends on whole target, no need to track further
+  const readWhole = () => {
+    dep.whole = true;
+    return target;
+  };
+
+  const getTrap = (get) => (_, prop) => prop === trackerSymbol ? dep : get(prop);
+
+  let handler;
+  if (Surrogate === Map || Surrogate === Set) {
+    handler = {
+      get: getTrap((prop) => {
+        if (prop === "size") {
+          return readWhole().size;
+        }
+        // only track Map.get, any other reads depend on the whole collection
+        if (prop === "get" && Surrogate === Map) {
+          return readChild;
+        }
+        const value = readWhole()[prop];
+        return typeof value === "function" ? value.bind(target) : value;
+      }),
+    };
+  } else {
+    handler = {
+      get: getTrap(prop => readChild(prop)),
+      has: (_, prop) => Reflect.has(readWhole(), prop),
+      ownKeys: () => Reflect.ownKeys(readWhole()),
+      getOwnPropertyDescriptor: (t, prop) => {
+        const desc = Reflect.getOwnPropertyDescriptor(target, prop);
+        return desc && {
+          ...desc,
+          // required by proxy invariants as surrogate is not frozen
+          configurable: true,
+          ...Reflect.getOwnPropertyDescriptor(t, prop),
+        };
+      },
+      getPrototypeOf: () => Reflect.getPrototypeOf(target),
+    };
+  }
+  return new Proxy(new Surrogate(), handler);
+}
+
+// replace trackers in value returned by selector with actual values
+function unwrap(value) {
+  const dep = isTracker(value);
+  if (dep) {
+    // value itself is returned, depends on whole of it
+    dep.whole = true;
+    return dep.value;
+  }
+  // frozen value comes from state which can't contain trackers
+  if (value !== null && typeof value === "object" && !Object.isFrozen(value)) {
+    switch (getTypeOf(value)) {
+      case "object":
+      case "array":
+        Reflect.ownKeys(value).forEach(key => {
+          const v = value[key];
+          const unwrapped = unwrap(v);
+          unwrapped !== v && (value[key] = unwrapped);
+        });
+        break;
+      case "map":
+        value.forEach((v, k) => value.set(k, unwrap(v)));
+        break;
+      case "set": {
+        // items are keys, added again in same order if any is replaced
+        const items = [...value];
+        const unwrapped = items.map(unwrap);
+        if (unwrapped.some((v, i) => v !== items[i])) {
+          value.clear();
+          unwrapped.forEach(v => value.add(v));
+        }
+        break;
+      }
+      default:
+    }
+  }
+  return value;
+}
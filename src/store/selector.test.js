@@ -0,0 +1,97 @@
+import test from "tape";
+
+import { freeze } from "./utils.js";
+import { createSelector } from "./selector.js";
+
+test("createSelector", async (t) => {
+  t.test("returns same result if values read are not changed", async (tt) => {
+    let calls = 0;
+    const selectTitles = createSelector((state) => {
+      calls++;
+      return state.todos.map(todo => todo.title);
+    });
+
+    const state = freeze({ todos: [{ title: "a" }], filter: "all" });
+    const titles = selectTitles(state);
+    tt.deepEqual(titles, ["a"], "returns result of selector");
+    tt.equal(Object.isFrozen(titles), false, "returns value created by selector as is");
+
+    tt.equal(selectTitles(state), titles, "returns same result for same state");
+    tt.equal(selectTitles(freeze({ ...state, filter: "done" })), titles, "returns same result if unread value changed");
+    tt.equal(calls, 1, "selector is only called once");
+
+    const todos = [...state.todos, { title: "b" }];
+    tt.deepEqual(selectTitles(freeze({ ...state, todos })), ["a", "b"], "recomputes if value read changed");
+    tt.equal(calls, 2, "selector is called again");
+
+    tt.deepEqual(selectTitles.stats, { calls: 4, hits: 2, recomputations: 2, dependencies: 8 }, "has stats");
+  });
+
+  t.test("only checks values read even if their parents changed", async (tt) => {
+    let calls = 0;
+    const selectName = createSelector((state) => (calls++, state.users.byId.get(1).name));
+
+    const user = { name: "name" };
+    selectName(freeze({ users: { byId: new Map([[1, user]]), count: 1 } }));
+
+    const state = freeze({ users: { byId: new Map([[1, user], [2, {}]]), count: 2 } });
+    tt.equal(selectName(state), "name");
+    tt.equal(calls, 1, "selector is not called again if value read is not changed");
+
+    selectName(freeze({ users: { byId: new Map([[1, { name: "new" }]]) } }));
+    tt.equal(calls, 2, "selector is called again when value read changed");
+  });
+
+  t.test("depends on whole value when its keys or size is read", async (tt) => {
+    let calls = 0;
+    const selectKeys = createSelector((state) => (calls++, Object.keys(state.obj)));
+    const selectSize = createSelector((state) => (calls++, state.set.size));
+
+    const set = new Set([1]);
+    const state = freeze({ obj: { a: 1 }, set });
+    selectKeys(state);
+    selectSize(state);
+
+    tt.deepEqual(selectKeys(freeze({ ...state, obj: { a: 1, b: 2 } })), ["a", "b"], "recomputes if object changed");
+    tt.deepEqual(selectSize(freeze({ ...state, set: new Set([1, 2]) })), 2, "recomputes if set changed");
+    tt.equal(calls, 4);
+  });
+
+  t.test("returns actual values instead of tracking proxies", async (tt) => {
+    const state = freeze({ todos: [{ done: true }, { done: false }], user: { name: "name" } });
+
+    const selectUser = createSelector(state => state.user);
+    tt.equal(selectUser(state), state.user, "returns value read from state");
+
+    const selectDone = createSelector(state => state.todos.filter(todo => todo.done));
+    const [todo] = selectDone(state);
+    tt.equal(todo, state.todos[0], "returns values in array created by selector");
+
+    const selectAll = createSelector(state => ({ user: state.user, todos: new Map([[0, state.todos[0]]]) }));
+    const all = selectAll(state);
+    tt.equal(all.user, state.user, "returns values in object created by selector");
+    tt.equal(all.todos.get(0), state.todos[0], "returns values in map created by selector");
+
+    const selectSet = createSelector(state => new Set([state.todos[1], "other"]));
+    tt.deepEqual([...selectSet(state)], [state.todos[1], "other"], "returns values in set created by selector");
+    tt.equal([...selectSet(state)][0], state.todos[1], "same values when memoized");
+
+    let calls = 0;
+    const selectNamed = createSelector(state => (calls++, { user: state.user, name: state.user.name }));
+    selectNamed(state);
+    const user = { name: "name" };
+    tt.equal(selectNamed(freeze({ ...state, user })).user, user, "depends on whole value returned");
+    tt.equal(calls, 2);
+  });
+
+  t.test("can be reset", async (tt) => {
+    let calls = 0;
+    const selector = createSelector(state => (calls++, state.value));
+
+    const state = freeze({ value: 1 });
+    selector(state);
+    selector.reset();
+    selector(state);
+    tt.equal(calls, 2, "selector is called again after reset");
+  });
+});
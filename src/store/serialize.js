@@ -0,0 +1,117 @@
+import { getTypeOf } from "./utils.js";
+
+// key of type tag in encoded values
+const tagKey = "$t";
+// JSON.parse removes props revived as undefined, use this instead
+// and replace it when reviving the object holding it
+const undefinedValue = Symbol("undefined");
+
+/**
+ * Serialize state into JSON text without losing types JSON doesn't support.
+ * Values are encoded as tagged objects, `{ "$t": type, "v": value }`, for:
+ * - Map, Set and Date, including the freezable ones in committed state
+ * - BigInt, undefined, NaN, Infinity and -0
+ * - instances of classes, by class name and own enumerable props
+ * - plain objects having a "$t" key, so they are not taken as tagged
+ * Symbols and props keyed by symbols are ignored, same as JSON.
+ */
+export function serialize(state, space) {
+  return JSON.stringify(state, replacer, space);
+}
+
+/**
+ * Deserialize text serialized by `serialize`; classes of instances need to be
+ * passed, either an array of classes or an object keyed by class names.
+ */
+export function deserialize(text, { classes = [] } = {}) {
+  const value = JSON.parse(text, createReviver(classes));
+  return value === undefinedValue ? undefined : value;
+}
+
+// replacer of JSON.stringify, this is the object holding the value;
+// raw value is used since Date is already converted by its toJSON
+export function replacer(key, value) {
+  // other serializers may not call with the holder
+  const raw = this !== null && typeof this === "object" && key in this ? this[key] : value;
+  switch (getTypeOf(raw)) {
+    case "map": {
+      const entries = [];
+      raw.forEach((v, k) => entries.push([k, v]));
+      return tag("map", entries);
+    }
+    case "set": {
+      const values = [];
+      raw.forEach(v => values.push(v));
+      return tag("set", values);
+    }
+    case "date": {
+      const time = raw.getTime();
+      return tag("date", Number.isNaN(time) ? null : time);
+    }
+    case "bigint":
+      return tag("bigint", raw.toString());
+    case "undefined":
+      return tag("undefined");
+    case "number":
+      if (Object.is(raw, -0)) {
+        return tag("number", "-0");
+      }
+      return Number.isFinite(raw) ? value : tag("number", String(raw));
+    case "object": {
+      const proto = Object.getPrototypeOf(raw);
+      if (proto !== Object.prototype && proto !== null && typeof raw.toJSON !== "function") {
+        return { [tagKey]: "class", c: raw.constructor.name, v: Object.entries(raw) };
+      }
+      return Object.hasOwn(raw, tagKey) ? tag("object", Object.entries(raw)) : value;
+    }
+    default:
+      return value;
+  }
+}
+
+// create a reviver of JSON.parse, children are revived before parents
+export function createReviver(classes = []) {
+  const classByName = Array.isArray(classes)
+    ? Object.fromEntries(classes.map(c => [c.name, c]))
+    : classes;
+
+  return (key, value) => {
+    const type = getTypeOf(value);
+    if (type === "array" || type === "object") {
+      Object.keys(value).forEach(k => value[k] === undefinedValue && (value[k] = undefined));
+    }
+    if (type !== "object" || !Object.hasOwn(value, tagKey)) {
+      return value;
+    }
+    const { [tagKey]: tagged, v } = value;
+    switch (tagged) {
+      case "map":
+        return new Map(v);
+      case "set":
+        return new Set(v);
+      case "date":
+        return new Date(v ?? NaN);
+      case "bigint":
+        return BigInt(v);
+      case "undefined":
+        return undefinedValue;
+      case "number":
+        return Number(v);
+      case "object":
+        return Object.fromEntries(v);
+      case "class": {
+        const Class = classByName[value.c];
+        if (!Class) {
+          throw new TypeError(`Unknown class: ${value.c}`);
+        }
+        return Object.assign(Object.create(Class.prototype), Object.fromEntries(v));
+      }
+      default:
+        throw new TypeError(`Unknown serialized type: ${tagged}`);
+    }
+  };
+}
+
+function tag(type, v) {
+  return v === undefined ? { [tagKey]: type } : { [tagKey]: type, v };
+}
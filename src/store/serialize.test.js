@@ -0,0 +1,91 @@
+import test from "tape";
+
+import { createStore } from "./store.js";
+import { serialize, deserialize } from "./serialize.js";
+
+class Todo {
+  constructor(title) {
+    this.title = title;
+  }
+
+  get upperTitle() {
+    return this.title.toUpperCase();
+  }
+}
+
+test("serialize", (t) => {
+  const roundTrip = (value, options) => deserialize(serialize(value), options);
+
+  t.test("keeps JSON as is", (tt) => {
+    const state = { str: "str", num: 1, bool: true, nil: null, arr: [1, { a: "a" }] };
+    tt.equal(serialize(state), JSON.stringify(state), "same as JSON if no special values");
+    tt.deepEqual(roundTrip(state), state);
+    tt.end();
+  });
+
+  t.test("keeps types JSON does not support", (tt) => {
+    const date = new Date(2020, 1, 1);
+    const value = roundTrip({
+      map: new Map([[1, { date }], ["key", new Set(["a"])]]),
+      set: new Set([1, new Map()]),
+      date,
+      invalidDate: new Date(NaN),
+      big: 12345678901234567890n,
+      undef: undefined,
+      arr: [undefined, 1],
+      numbers: [NaN, Infinity, -Infinity, -0],
+    });
+
+    tt.deepEqual(value.map, new Map([[1, { date }], ["key", new Set(["a"])]]), "Map");
+    tt.deepEqual(value.set, new Set([1, new Map()]), "Set");
+    tt.equal(value.date.getTime(), date.getTime(), "Date");
+    tt.ok(Number.isNaN(value.invalidDate.getTime()), "invalid Date");
+    tt.equal(value.big, 12345678901234567890n, "BigInt");
+    tt.ok("undef" in value && value.undef === undefined, "undefined prop");
+    tt.ok(0 in value.arr && value.arr[0] === undefined, "undefined item");
+    tt.ok(Object.is(value.numbers[0], NaN), "NaN");
+    tt.deepEqual(value.numbers.slice(1, 3), [Infinity, -Infinity], "Infinity");
+    tt.ok(Object.is(value.numbers[3], -0), "-0");
+    tt.equal(roundTrip(undefined), undefined, "undefined as whole");
+    tt.end();
+  });
+
+  t.test("keeps objects having tag key", (tt) => {
+    const value = { $t: "map", v: [[1, 2]] };
+    tt.deepEqual(roundTrip(value), value);
+    tt.end();
+  });
+
+  t.test("restores class instances", (tt) => {
+    const text = serialize({ todos: [new Todo("todo")] });
+
+    const value = deserialize(text, { classes: [Todo] });
+    tt.ok(value.todos[0] instanceof Todo, "instance of class");
+    tt.equal(value.todos[0].upperTitle, "TODO", "keeps own props");
+    tt.ok(deserialize(text, { classes: { Todo } }).todos[0] instanceof Todo, "classes can be keyed by name");
+
+    tt.throws(() => deserialize(text), /Unknown class: Todo/);
+    tt.throws(() => deserialize('{"$t":"unknown"}'), /Unknown serialized type: unknown/);
+    tt.end();
+  });
+
+  t.test("serializes committed state", (tt) => {
+    const init = {
+      map: new Map([["key", "value"]]),
+      set: new Set([1]),
+      date: new Date(0),
+      todo: new Todo("todo"),
+    };
+    // committed state has freezable Map, Set and Date
+    const store = createStore(init);
+    const value = deserialize(serialize(store.getState()), { classes: [Todo] });
+    tt.deepEqual(value.map, new Map([["key", "value"]]));
+    tt.deepEqual(value.set, new Set([1]));
+    tt.equal(value.date.getTime(), 0);
+    tt.equal(value.todo.title, "todo");
+
+    store.setState(value);
+    tt.equal(store.getState().map.get("key"), "value", "can be set back to store");
+    tt.end();
+  });
+});
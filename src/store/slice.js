@@ -0,0 +1,51 @@
+import { getIn } from "./paths.js";
+import { wrapAction, memoizeWrapper } from "./actions.js";
+
+/**
+ * Create a store scoped to the value at path of the store's state.
+ * Actions are wrapped to receive the sub-tree as their draft state;
+ * the wrapper is tagged with `slice` and `original` so that middlewares
+ * can tell which slice an action is dispatched to.
+ */
+export function createSlice(store, path) {
+  path = Object.freeze(Array.isArray(path) ? [...path] : [path]);
+
+  const wrap = memoizeWrapper((action) => wrapAction(action, function (state, ...args) {
+    return action.call(this, getIn(state, path), ...args);
+  }, { slice: path }));
+
+  const getState = () => getIn(store.getState(), path);
+
+  return Object.freeze({
+    path,
+
+    dispatch(action, ...args) {
+      return store.dispatch(wrap(action), ...args);
+    },
+
+    transaction(action, ...args) {
+      return store.transaction(wrap(action), ...args);
+    },
+
+    getState,
+
+    setState(newState) {
+      // only replace this slice, pending actions are kept
+      store.applyPatches([{ op: "replace", path, value: newState }]);
+    },
+
+    select(selector) {
+      return selector(getState());
+    },
+
+    subscribe(selector, listener, options) {
+      return Array.isArray(selector)
+        ? store.subscribe([...path, ...selector], listener, options)
+        : store.subscribe((state) => selector(getIn(state, path)), listener, options);
+    },
+
+    slice(subPath) {
+      return createSlice(store, [...path, ...(Array.isArray(subPath) ? subPath : [subPath])]);
+    },
+  });
+}
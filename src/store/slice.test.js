@@ -0,0 +1,92 @@
+import test from "tape";
+
+import { createStore } from "./store.js";
+import { tick } from "../test-utils.js";
+
+test("slice", async (t) => {
+  const initState = {
+    todos: { items: [], filter: "all" },
+    user: { name: "user" },
+  };
+
+  const addTodo = (todos, title) => { todos.items.push({ title }); };
+
+  t.test("dispatches actions with sub-tree as draft", async (tt) => {
+    const store = createStore(initState);
+    const todos = store.slice("todos");
+    tt.deepEqual(todos.path, ["todos"], "key is converted to path");
+
+    const result = await todos.dispatch((state, title) => {
+      addTodo(state, title);
+      return state.items.length;
+    }, "first");
+    tt.equal(result, 1, "resolves with result of action");
+    tt.deepEqual(todos.getState(), { items: [{ title: "first" }], filter: "all" });
+    tt.equal(todos.getState(), store.getState().todos, "state is sub-tree of store state");
+
+    tt.equal(todos.transaction(addTodo, "second"), undefined, "supports transaction");
+    tt.equal(todos.select(state => state.items.length), 2, "selects from sub-tree");
+  });
+
+  t.test("can be nested", async (tt) => {
+    const store = createStore(initState);
+    const items = store.slice("todos").slice("items");
+    tt.deepEqual(items.path, ["todos", "items"]);
+    tt.deepEqual(store.slice(["todos", "items"]).path, ["todos", "items"], "accepts key path");
+
+    await items.dispatch((state) => { state.push("item"); });
+    tt.deepEqual(store.getState().todos.items, ["item"]);
+  });
+
+  t.test("replaces only the sub-tree when setting state", async (tt) => {
+    const store = createStore(initState);
+    const todos = store.slice("todos");
+
+    const pending = store.dispatch((state) => { state.user.name = "changed"; });
+    todos.setState({ items: [], filter: "done" });
+    tt.deepEqual(store.getState(), {
+      todos: { items: [], filter: "done" },
+      user: { name: "user" },
+    });
+    await pending;
+    tt.equal(store.getState().user.name, "changed", "pending actions are kept");
+  });
+
+  t.test("subscribes to sub-tree", async (tt) => {
+    const store = createStore(initState);
+    const todos = store.slice("todos");
+
+    const calls = [];
+    todos.subscribe(state => state.filter, (next, prev) => calls.push(["selector", next, prev]));
+    todos.subscribe(["filter"], (next, prev) => calls.push(["path", next, prev]));
+
+    store.dispatch((state) => { state.user.name = "changed"; });
+    await tick();
+    todos.dispatch((state) => { state.filter = "done"; });
+    await tick();
+    tt.deepEqual(calls, [["selector", "done", "all"], ["path", "done", "all"]]);
+  });
+
+  t.test("tags actions with slice for middlewares", async (tt) => {
+    const store = createStore(initState);
+    const todos = store.slice("todos");
+
+    const executed = [];
+    store.addMiddlewares(() => ({
+      execute(action, args, next) {
+        executed.push(action);
+        next(action, args);
+      },
+    }));
+
+    todos.dispatch(addTodo, "first");
+    todos.dispatch(addTodo, "second");
+    await tick();
+
+    const [first, second] = executed;
+    tt.equal(first.name, "addTodo", "keeps name of action");
+    tt.deepEqual(first.slice, ["todos"], "tagged with slice path");
+    tt.equal(first.original, addTodo, "tagged with original action");
+    tt.equal(first, second, "same action is wrapped once");
+  });
+});
@@ -0,0 +1,40 @@
+import { serialize, deserialize } from "./serialize.js";
+
+// default id of the script element holding state
+const defaultId = "__RESTATO_STATE__";
+
+// chars that could end the script element or be taken as HTML,
+// escaping them keeps the text valid JSON
+const unsafeChars = /[<>&\u2028\u2029]/g;
+const escapeChar = (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, "0")}`;
+
+/**
+ * Serialize state into text safe to be embedded in a script element,
+ * e.g. a string "</script>" in state won't end the script element.
+ */
+export function serializeForScript(state) {
+  return serialize(state).replace(unsafeChars, escapeChar);
+}
+
+/**
+ * Render committed state of store into a script element, to be included
+ * in HTML rendered on server and read by `readState()` on client.
+ */
+export function renderStateScript(store, { id = defaultId, nonce } = {}) {
+  const attrs = [`id="${escapeAttr(id)}"`, `type="application/json"`];
+  nonce && attrs.push(`nonce="${escapeAttr(nonce)}"`);
+  return `<script ${attrs.join(" ")}>${serializeForScript(store.getState())}</script>`;
+}
+
+/**
+ * Read state rendered by `renderStateScript()`, to create or hydrate
+ * store on client; returns undefined if not found.
+ */
+export function readState({ id = defaultId, document = globalThis.document, classes } = {}) {
+  const script = document?.getElementById(id);
+  return script ? deserialize(script.textContent, { classes }) : undefined;
+}
+
+function escapeAttr(value) {
+  return String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+}
@@ -0,0 +1,33 @@
+import test from "tape";
+
+import { createStore } from "./store.js";
+import { serializeForScript, renderStateScript, readState } from "./ssr.js";
+import { deserialize } from "./serialize.js";
+
+test("ssr", (t) => {
+  t.test("escapes text which could end script element", (tt) => {
+    const state = { html: "</script><!-- & \u2028\u2029" };
+    const text = serializeForScript(state);
+    tt.notOk(/[<>&\u2028\u2029]/.test(text), "no unsafe chars");
+    tt.deepEqual(deserialize(text), state, "still valid to deserialize");
+    tt.end();
+  });
+
+  t.test("renders state into script element", (tt) => {
+    const store = createStore({ date: new Date(0) });
+    tt.equal(
+      renderStateScript(store, { id: "state", nonce: '"nonce"' }),
+      `<script id="state" type="application/json" nonce="&quot;nonce&quot;">{"date":{"$t":"date","v":0}}</script>`
+    );
+    tt.end();
+  });
+
+  t.test("reads state from script element", (tt) => {
+    const elements = { state: { textContent: '{"set":{"$t":"set","v":[1]}}' } };
+    const document = { getElementById: (id) => elements[id] };
+    tt.deepEqual(readState({ id: "state", document }), { set: new Set([1]) });
+    tt.equal(readState({ id: "missing", document }), undefined, "undefined if not found");
+    tt.equal(readState({ document: undefined }), undefined, "undefined if no document");
+    tt.end();
+  });
+});
@@ -1,9 +1,32 @@
 import { createProxy } from "./proxy.js";
-import { inherit, noop } from "./utils.js";
+import { applyPatches } from "./patches.js";
+import { createPathIndex, getIn } from "./paths.js";
+import { resolveSchedulers } from "./scheduler.js";
+import { createSlice } from "./slice.js";
+import { createMigrate } from "./migrations.js";
+import { createActionRegistry } from "./actions.js";
+import { getTypeOf, inherit, noop } from "./utils.js";
 
 const internalSymbol = Symbol("internal");
 
-export function createStore(initState = {}) {
+// internal action applying patches to state
+const patchAction = (s, patches) => applyPatches(s, "latest", patches);
+patchAction[internalSymbol] = true;
+
+// internal action reverting changes, then applying again patches committed
+// by other actions in between, as the reverting may have undone them too
+const rebaseAction = (s, inversePatches, patchesList) => {
+  applyPatches(s, "latest", inversePatches);
+  patchesList.forEach(patches => applyPatches(s, "latest", patches, { rebase: true }));
+};
+rebaseAction[internalSymbol] = true;
+
+export function createStore(initState = {}, { scheduler, version, migrations } = {}) {
+  // schedulers to batch actions and notify selectors
+  const schedulers = resolveSchedulers(scheduler);
+  // upgrade state of old versions when set
+  const migrate = createMigrate({ version, migrations });
+
   // actions to be triggered
   let pendingActions = [];
 
@@ -11,21 +34,51 @@ export function createStore(initState = {}) {
   // listeners to be called after changes are committed
   let commitListeners = []; // internal listeners
   let selectors = []; // external listeners
+  // external listeners subscribed to paths, only notified if path changed
+  let pathSubscriptions = createPathIndex();
+  let changedPaths = []; // paths changed since last notified
+  let notifyPending = false; // whether selectors are to be notified
 
   let state = {
     latest: null, // latest state, including pending changes
     committed: null, // current committed state
   }
 
+  // patches recorded for pending changes
+  let changes = newChanges();
+
   let middlewares = [];
 
+  // record changes committed while async transactions are pending,
+  // called with patches, or null if state is changed directly
+  let recorders = new Set();
+
+  // modules registered at runtime, name => middlewares added by module
+  let modules = new Map();
+
+  // actions defined with types
+  const actionRegistry = createActionRegistry();
+
   const storeInner = Object.freeze({
     dispatch(action, ...args) {
       assertNotDestroyed();
+      // called where dispatched, e.g. to capture stack trace
+      middlewares.forEach(mw => mw.dispatched?.(action, args));
+      const deferred = defer();
+      const controller = new AbortController();
       // enqueue the action to trigger later instead of immediately
       // so that actions dispatched almost at same time are batched
-      pendingActions.push([action, args]);
-      schedule(() => pendingActions.length, triggerActions);
+      pendingActions.push([action, args, deferred, controller.signal]);
+      schedule(() => pendingActions?.length, triggerActions, schedulers.actions);
+      return Object.assign(deferred.promise, {
+        cancel() {
+          // nothing to cancel once settled
+          if (!controller.signal.aborted && !deferred.settled.aborted) {
+            controller.abort();
+            drop(deferred, "Action has been cancelled!");
+          }
+        }
+      });
     },
 
     getState() {
@@ -35,13 +88,39 @@ export function createStore(initState = {}) {
 
     setState(newState) {
       assertNotDestroyed();
+      // migrate first, nothing is changed if it fails
+      newState = migrate(newState);
       discardChanges();
-      pendingActions = []; // discard pending actions
+      // discard pending actions
+      pendingActions.forEach(([, , deferred]) => drop(deferred, "Action has been discarded by setState!"));
+      pendingActions = [];
       // update state by calling a special action, bypassing middlewares
       const action = (s, latest) => s.latest = latest;
       action[internalSymbol] = true;
       callAction(action, [newState]);
     },
+
+    migrate(oldState) {
+      assertNotDestroyed();
+      return migrate(oldState);
+    },
+
+    // patches committed later, to be applied again after patches
+    applyPatches(patches, { rebase = [] } = {}) {
+      assertNotDestroyed();
+      // commit pending async changes so that
+      // patches are applied onto the very latest state
+      commitAsyncMutation();
+      // apply all patches or none, bypassing middlewares
+      rebase.length
+        ? callAction(rebaseAction, [patches, rebase], { transactional: true })
+        : callAction(patchAction, [patches], { transactional: true });
+    },
+
+    getAction(type) {
+      assertNotDestroyed();
+      return actionRegistry.get(type);
+    },
   });
 
   // external store interface
@@ -51,32 +130,123 @@ export function createStore(initState = {}) {
       return selector(state.committed);
     },
 
-    subscribe(selector) {
+    subscribe(selector, listener, options = {}) {
       assertNotDestroyed();
-      selectors.push(selector);
+      const { isEqual = Object.is, immediate = false } =
+        typeof options === "function" ? { isEqual: options } : options;
+
+      // subscribe to value at a path, e.g. ["users", "byId", id]
+      const path = Array.isArray(selector) ? [...selector] : null;
+      if (path) {
+        if (!listener) {
+          throw new TypeError("Listener is required to subscribe to a path!");
+        }
+        selector = (s) => getIn(s, path);
+      }
+
+      // each subscription has its own entry so that unsub only removes
+      // this subscription even if same selector is subscribed many times
+      let entry = (s) => selector(s);
+      if (listener) {
+        let value = selector(state.committed);
+        entry = (s) => {
+          const prev = value;
+          const next = selector(s);
+          if (!isEqual(next, prev)) {
+            value = next;
+            listener(next, prev);
+          }
+        };
+        immediate && listener(value, undefined);
+      }
+
+      if (path) {
+        return pathSubscriptions.add(path, entry);
+      }
+
+      selectors.push(entry);
       // return an unsub function
       return () => {
-        selectors = selectors?.filter(fn => fn !== selector);
+        selectors = selectors?.filter(fn => fn !== entry);
       };
     },
 
+    transaction(action, ...args) {
+      assertNotDestroyed();
+      // commit pending changes if any
+      // so that transaction starts with very latest state
+      commitAsyncMutation();
+      let result;
+      applyMiddleware((a, as) => result = callTransaction(a, as), action, args);
+      return result;
+    },
+
+    slice(path) {
+      assertNotDestroyed();
+      return createSlice(store, path);
+    },
+
+    flush() {
+      assertNotDestroyed();
+      // drain until nothing is pending, as each step may cause more;
+      // store may be destroyed by actions or listeners in between
+      while (pendingActions?.length || notifyPending || commitAsyncMutation !== noop) {
+        commitAsyncMutation();
+        pendingActions?.length && triggerActions();
+        notifySelectors();
+      }
+    },
+
     addMiddlewares(...middlewareFactories) {
       assertNotDestroyed();
-      middlewareFactories.forEach(factory => {
-        const mw = factory(storeInner);
-        mw && middlewares.push(mw);
+      addMiddlewares(middlewareFactories);
+    },
+
+    defineActions(definitions, { namespace } = {}) {
+      assertNotDestroyed();
+      return actionRegistry.define(definitions, namespace, storeInner.dispatch);
+    },
+
+    registerModule(name, { initialState = {}, middlewares: factories = [], actions = {} } = {}) {
+      assertNotDestroyed();
+      if (modules.has(name)) {
+        throw new Error(`Module "${name}" has already been registered!`);
+      }
+      // keep existing state if any, e.g. restored from a snapshot;
+      // patch instead of setState to keep rest of state and pending actions
+      if (state.latest[name] === undefined) {
+        storeInner.applyPatches([{ op: "add", path: [name], value: initialState }]);
+      }
+      modules.set(name, addMiddlewares(factories));
+
+      const slice = createSlice(store, name);
+      return inherit(slice, {
+        name,
+        // actions bound to dispatch to the module
+        actions: Object.fromEntries(Object.entries(actions).map(
+          ([key, action]) => [key, (...args) => slice.dispatch(action, ...args)]
+        )),
       });
     },
 
+    unregisterModule(name) {
+      assertNotDestroyed();
+      const added = modules.get(name);
+      if (added) {
+        modules.delete(name);
+        middlewares = middlewares.filter(mw => !added.includes(mw));
+        destroyMiddlewares(added);
+        storeInner.applyPatches([{ op: "remove", path: [name] }]);
+      }
+    },
+
     destroy() {
-      middlewares?.forEach(mw => {
-        try {
-          mw.destroy?.();
-        } catch (error) {
-          console.error(`Error destroying middleware`, error);
-        }
-      });
-      state = selectors = middlewares = pendingActions = commitListeners = null;
+      middlewares && destroyMiddlewares(middlewares);
+      pendingActions?.forEach(([, , deferred]) => drop(deferred, "Store has been destroyed!"));
+      state = selectors = middlewares = pendingActions = commitListeners = modules = recorders = null;
+      pathSubscriptions = changedPaths = null;
+      commitAsyncMutation = noop;
+      notifyPending = false;
     },
   }));
 
@@ -88,6 +258,23 @@ export function createStore(initState = {}) {
 
   // internal implementations
 
+  // returns middlewares added
+  function addMiddlewares(factories) {
+    const added = factories.map(factory => factory(storeInner)).filter(Boolean);
+    middlewares.push(...added);
+    return added;
+  }
+
+  function destroyMiddlewares(mws) {
+    mws.forEach(mw => {
+      try {
+        mw.destroy?.();
+      } catch (error) {
+        console.error(`Error destroying middleware`, error);
+      }
+    });
+  }
+
   function triggerActions() {
     // run if store is not destroyed
     if (pendingActions) {
@@ -97,13 +284,119 @@ export function createStore(initState = {}) {
 
       const batch = pendingActions;
       pendingActions = [];
-      batch.forEach(([action, args]) => applyMiddleware(callAction, action, args));
+      batch.forEach(([action, args, deferred, signal]) => {
+        let called = false;
+        const doAction = (a, as) => {
+          called = true;
+          // may have been cancelled while delayed by middlewares
+          if (signal.aborted) {
+            return;
+          }
+          try {
+            const result = callAction(a, as, { signal, settled: deferred.settled });
+            // not resolving with result directly, so that
+            // it can still be rejected if cancelled later
+            Promise.resolve(result).then(deferred.resolve, deferred.reject);
+          } catch (error) {
+            deferred.reject(error);
+            throw error; // let middlewares know
+          }
+        };
+        if (signal.aborted) {
+          return; // cancelled before triggered
+        }
+        try {
+          const delays = applyMiddleware(doAction, action, args);
+          // action is dropped if not called after middlewares are done
+          called || Promise.allSettled(delays).then(() => {
+            called || drop(deferred, "Action has been dropped by middlewares!");
+          });
+        } catch (error) {
+          deferred.reject(error);
+        }
+      });
     }
   }
 
-  function callAction(action, args) {
+  // call action as a transaction, all changes are rolled back if it fails;
+  // async changes are rolled back when the promise returned is rejected
+  function callTransaction(action, args) {
+    // inverse patches of all changes committed, latest first
+    const inversePatches = [];
+    const onCommitted = (changes) => {
+      inversePatches.unshift(...changes.inversePatches);
+      notifyPatched(action, args, changes);
+    };
+
+    // patches committed by other actions since, null if can't be rebased
+    let others = [];
+    const record = (a, as, patches) => {
+      if (a !== action || as !== args) {
+        others = patches && others && [...others, patches];
+      }
+    };
+
+    const result = callAction(action, args, { transactional: true, onCommitted });
+    if (typeof result?.then !== "function") {
+      return result;
+    }
+
+    recorders.add(record);
+    const done = () => recorders?.delete(record);
+    return Promise.resolve(result).then((value) => {
+      done();
+      return value;
+    }, (error) => {
+      // nothing to rollback if store has been destroyed
+      if (selectors) {
+        // commit pending changes so that they can be rolled back or rebased too
+        commitAsyncMutation();
+        done();
+        try {
+          rollback(inversePatches, others, onCommitted);
+        } catch (rollbackError) {
+          console.error("Error rolling back transaction", rollbackError);
+        }
+      }
+      throw error;
+    });
+  }
+
+  // revert changes of transaction, keeping changes of other actions
+  // in between unless state has been changed directly
+  function rollback(inversePatches, others, onCommitted) {
+    if (others?.length) {
+      try {
+        callAction(rebaseAction, [inversePatches, others], { transactional: true, onCommitted });
+        return;
+      } catch {
+        // patches can't be rebased, e.g. path removed by transaction
+      }
+    }
+    callAction(patchAction, [inversePatches], { transactional: true, onCommitted });
+  }
+
+  function callAction(action, args, {
+    signal, // abort signal for cancelling action
+    settled, // aborted once action is done, not to be cancelled after
+    transactional = false, // discard all changes if action throws
+    onCommitted = (changes) => action[internalSymbol]
+      ? changes.patches.length && recorders?.forEach(record => record(action, args, null))
+      : notifyPatched(action, args, changes),
+  } = {}) {
     let isAsync;
     let proxy;
+    let cancelled = false;
+
+    signal?.addEventListener("abort", () => {
+      // ignore if store has been destroyed
+      if (selectors) {
+        // changes made before cancelling are kept
+        commitAsyncMutation();
+        cancelled = true;
+        middlewares.forEach(mw => mw.cancelled?.(action, args));
+      }
+    }, { once: true, signal: settled });
 
     const onCopied = (copy) => {
       state = copy;
@@ -116,7 +409,14 @@ export function createStore(initState = {}) {
         commitAsyncMutation = () => {
           let done = false;
           try {
-            const doCommit = () => done || (commitChanges(), done = true);
+            const doCommit = () => {
+              if (!done) {
+                done = true;
+                const committed = commitChanges();
+                onCommitted(committed);
+                notifyCommitted(committed);
+              }
+            };
             applyMiddleware(doCommit, action, args, isAsync);
           } finally {
             // discard if middlewares didn't request to commit
@@ -124,7 +424,7 @@ export function createStore(initState = {}) {
             done = true;
           }
         };
-        schedule(storeInner.getState, commitAsyncMutation);
+        schedule(() => state?.committed, commitAsyncMutation, schedulers.commits);
       }
     };
 
@@ -133,6 +433,9 @@ export function createStore(initState = {}) {
         // this means store has been destroyed
         proxy.setParent(null);
         assertNotDestroyed();
+      } else if (cancelled) {
+        // state can not be used after action is cancelled
+        throw new Error("Action has been cancelled!");
       } else {
         // commit pending changes for async refresh request
         // as latest state may have been changed by others
@@ -141,42 +444,89 @@ export function createStore(initState = {}) {
       }
     };
 
+    const onPatch = (patch, inversePatch) => {
+      changes.patches.push(toStatePatch(patch));
+      changes.inversePatches.push(toStatePatch(inversePatch));
+    };
+
     try {
-      proxy = createProxy(state, { refresh, onCopied, detach: noop });
+      proxy = createProxy(state, { refresh, onCopied, onPatch, detach: noop });
       // pass full state proxy if this is an internal action
-      action(action[internalSymbol] ? proxy.proxy : proxy.proxy.latest, ...args);
+      if (action[internalSymbol]) {
+        return action(proxy.proxy, ...args);
+      }
+      // context passed as this, an abort signal for dispatched action
+      return action.call({ signal }, proxy.proxy.latest, ...args);
+    } catch (error) {
+      // roll back to last committed state
+      transactional && discardChanges();
+      throw error;
     } finally {
       // apply mutations immediately
-      commitChanges();
+      const committed = commitChanges();
       isAsync = true;
+      onCommitted(committed);
+      notifyCommitted(committed);
     }
   }
 
-  function applyMiddleware(doAction, action, args, isAsync, chain = middlewares[Symbol.iterator]()) {
-    const { done, value: mw } = chain.next();
-    if (done) {
-      doAction(action, args);
-    } else {
-      const next = (actionMw, argsMw) => {
-        const actionToUse = isAsync ? action : actionMw;
-        const argsToUse = isAsync ? args : argsMw;
-        applyMiddleware(doAction, actionToUse, argsToUse, isAsync, chain);
-      };
-      ((isAsync ? mw.asyncExecuted : mw.execute) || next)(action, args, next);
-    }
+  // returns promises returned by middlewares if any,
+  // middlewares may call next() later after they are settled
+  function applyMiddleware(doAction, action, args, isAsync) {
+    const delays = [];
+    const chain = middlewares[Symbol.iterator]();
+    const applyNext = (action, args) => {
+      const { done, value: mw } = chain.next();
+      if (done) {
+        doAction(action, args);
+      } else {
+        const next = (actionMw, argsMw) => {
+          const actionToUse = isAsync ? action : actionMw;
+          const argsToUse = isAsync ? args : argsMw;
+          applyNext(actionToUse, argsToUse);
+        };
+        const result = ((isAsync ? mw.asyncExecuted : mw.execute) || next)(action, args, next);
+        typeof result?.then === "function" && delays.push(result);
+      }
+    };
+    applyNext(action, args);
+    return delays;
   }
 
   function commitChanges() {
+    const committed = changes;
+    // inverse patches need to be applied in reverse order
+    committed.inversePatches.reverse();
+    changes = newChanges();
     if (state.committed !== state.latest) {
       state.committed = state.latest;
       notifyCommitListeners();
-      if (selectors?.length) {
-        schedule(storeInner.getState, notifySelectors);
+      if (pathSubscriptions && !pathSubscriptions.isEmpty) {
+        // whole state is regarded as changed if there are no patches
+        committed.patches.length
+          ? committed.patches.forEach(patch => changedPaths.push(...changedPathsOf(patch)))
+          : changedPaths.push([]);
+      }
+      if (selectors?.length || changedPaths?.length) {
+        notifyPending = true;
+        schedule(() => state?.committed, notifySelectors, schedulers.notifications);
       }
     }
+    return committed;
+  }
+
+  // adding or removing an index of array may change its length too,
+  // which is not patched, e.g. when items are pushed
+  function changedPathsOf({ op, path }) {
+    const parentPath = path.slice(0, -1);
+    return op !== "replace" && /^\d+$/.test(path[path.length - 1])
+      && getTypeOf(getIn(state.committed, parentPath)) === "array"
+      ? [path, [...parentPath, "length"]]
+      : [path];
   }
 
   function discardChanges() {
+    changes = newChanges();
     if (state.latest !== state.committed) {
       state.latest = state.committed;
       notifyCommitListeners();
@@ -194,15 +544,65 @@ export function createStore(initState = {}) {
     commitAsyncMutation = noop;
   }
 
+  function notifyPatched(action, args, { patches, inversePatches }) {
+    if (patches.length) {
+      Object.freeze(patches);
+      Object.freeze(inversePatches);
+      recorders?.forEach(record => record(action, args, patches));
+      middlewares?.forEach(mw => mw.patched?.(action, args, patches, inversePatches));
+    }
+  }
+
+  // after patched if any, changes bypassing middlewares are included
+  function notifyCommitted({ patches, inversePatches }) {
+    if (patches.length) {
+      Object.freeze(patches);
+      Object.freeze(inversePatches);
+      middlewares?.forEach(mw => mw.committed?.(patches, inversePatches));
+    }
+  }
+
   function notifySelectors() {
+    // may have been notified by flush
+    if (!notifyPending) {
+      return;
+    }
+    notifyPending = false;
     // notify external listeners if full commit
     selectors?.forEach(selector => store.select(selector));
+    // only notify path subscriptions whose value may have changed
+    if (changedPaths?.length) {
+      const paths = changedPaths;
+      changedPaths = [];
+      const entries = new Set();
+      paths.forEach(path => pathSubscriptions.collect(path, entries));
+      entries.forEach(entry => pathSubscriptions && store.select(entry));
+    }
   }
 
-  function schedule(getGuard, fn) {
+  function schedule(getGuard, fn, scheduler) {
     const guard = getGuard();
     // run if there are no more changes
-    queueMicrotask(() => getGuard() === guard && fn());
+    scheduler(() => getGuard() === guard && fn());
+  }
+
+  // patch is recorded against the internal state holder,
+  // remove the leading "latest" to make path relative to state
+  function toStatePatch({ op, path: [, ...path], value }) {
+    const patch = op === "remove" ? { op, path } : { op, path, value };
+    Object.freeze(path);
+    return Object.freeze(patch);
+  }
+
+  // reject without being reported as unhandled rejection,
+  // as this is not an error that client needs to handle
+  function drop(deferred, reason) {
+    deferred.promise.catch(noop);
+    deferred.reject(new Error(reason));
+  }
+
+  function newChanges() {
+    return { patches: [], inversePatches: [] };
   }
 
   function assertNotDestroyed() {
@@ -211,3 +611,21 @@ export function createStore(initState = {}) {
     }
   }
 }
+
+function defer() {
+  const deferred = {};
+  const settled = new AbortController();
+  // aborted once settled, e.g. to remove listeners
+  deferred.settled = settled.signal;
+  deferred.promise = new Promise((resolve, reject) => {
+    deferred.resolve = (value) => {
+      settled.abort();
+      resolve(value);
+    };
+    deferred.reject = (reason) => {
+      settled.abort();
+      reject(reason);
+    };
+  });
+  return deferred;
+}
@@ -1,6 +1,27 @@
 import test from "tape";
 
 import { createStore } from "./store.js";
+import { getTypeOf } from "./utils.js";
+import { versionKey } from "./migrations.js";
+import { tick } from "../test-utils.js";
+
+// tape.deepEqual doesn't like frozen Map/Set/Date
+// convert to native values before comparison
+function toNative(value) {
+  switch (getTypeOf(value)) {
+    case "array":
+      return value.map(toNative);
+    case "date":
+      return new Date(value.getTime());
+    case "map":
+      return new Map([...value.entries()].map(([k, v]) => [k, toNative(v)]));
+    case "set":
+      return new Set([...value.values()].map(toNative));
+    case "object":
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toNative(v)]));
+  }
+  return value;
+}
 
 test("store", (t) => {
   t.test("can select value", (tt) => {
@@ -76,6 +97,184 @@ test("store", (t) => {
     });
   });
 
+  t.test("dispatch returns a promise resolved after action is committed", (tt) => {
+    tt.plan(2);
+
+    const store = createStore({ count: 0 });
+    store.dispatch((state) => ++state.count).then((result) => {
+      tt.equal(result, 1, "resolves with value returned by action");
+      tt.deepEqual(store.getState(), { count: 1 }, "changes are committed");
+    });
+  });
+
+  t.test("dispatch returns a promise settled with promise returned by action", (tt) => {
+    tt.plan(3);
+
+    const store = createStore({});
+    store.dispatch((state) => Promise.resolve().then(() => {
+      state.async = true;
+      return "async";
+    })).then((result) => {
+      tt.equal(result, "async", "resolves with value resolved by action");
+    });
+
+    store.dispatch(() => Promise.reject(new Error("rejected"))).catch((error) => {
+      tt.equal(error.message, "rejected", "rejects with error rejected by action");
+    });
+
+    setTimeout(() => tt.deepEqual(store.getState(), { async: true }));
+  });
+
+  t.test("dispatch returns a promise rejected if action throws", (tt) => {
+    tt.plan(2);
+
+    const store = createStore({});
+    store.dispatch(() => {
+      throw new Error("failed");
+    }).catch((error) => tt.equal(error.message, "failed"));
+    store.dispatch((state) => state.next = true).then(() => {
+      tt.deepEqual(store.getState(), { next: true }, "other actions in batch are still executed");
+    });
+  });
+
+  t.test("dispatch returns a promise rejected if action is dropped", (tt) => {
+    tt.plan(4);
+
+    const store = createStore({});
+    store.addMiddlewares(() => ({
+      execute(action, args, next) {
+        if (action.name === "delayed") {
+          return Promise.resolve().then(() => next(action, args));
+        }
+        if (action.name !== "dropped") {
+          next(action, args);
+        }
+      }
+    }));
+
+    function dropped() {}
+    store.dispatch(dropped).catch((error) => {
+      tt.equal(error.message, "Action has been dropped by middlewares!", "rejects if dropped by middlewares");
+    });
+
+    function delayed() {
+      return "delayed";
+    }
+    store.dispatch(delayed).then((result) => {
+      tt.equal(result, "delayed", "resolves if middleware calls next after returned promise settles");
+    });
+
+    setTimeout(() => {
+      store.dispatch(() => {}).catch((error) => {
+        tt.equal(error.message, "Action has been discarded by setState!", "rejects if discarded by setState");
+      });
+      store.setState({});
+
+      store.dispatch(() => {}).catch((error) => {
+        tt.equal(error.message, "Store has been destroyed!", "rejects if store is destroyed");
+      });
+      store.destroy();
+    });
+  });
+
+  t.test("passes an abort signal to dispatched action", (tt) => {
+    tt.plan(2);
+
+    const store = createStore({});
+    store.dispatch(function (state) {
+      tt.equal(this.signal instanceof AbortSignal, true, "signal is passed as this");
+      tt.equal(this.signal.aborted, false, "signal is not aborted");
+    });
+  });
+
+  t.test("can cancel action before it is executed", (tt) => {
+    tt.plan(3);
+
+    let executed = false;
+
+    const store = createStore({});
+    const promise = store.dispatch(() => executed = true);
+    store.dispatch((state) => state.other = true);
+    promise.cancel();
+
+    promise.catch((error) => tt.equal(error.message, "Action has been cancelled!"));
+    setTimeout(() => {
+      tt.equal(executed, false, "action is not executed");
+      tt.deepEqual(store.getState(), { other: true }, "other actions are executed");
+    });
+  });
+
+  t.test("can cancel async action", (tt) => {
+    tt.plan(6);
+
+    const cancelled = [];
+
+    const store = createStore({ loading: false });
+    store.addMiddlewares(() => ({
+      cancelled: (action, args) => cancelled.push([action, args]),
+    }));
+
+    let resolve;
+    const response = new Promise(r => resolve = r);
+
+    let signal;
+    async function fetchData(state, id) {
+      signal = this.signal;
+      state.loading = true;
+      await response;
+      state.data = id;
+    }
+
+    const promise = store.dispatch(fetchData, 1);
+
+    setTimeout(() => {
+      promise.cancel();
+      tt.equal(signal.aborted, true, "signal is aborted");
+      tt.deepEqual(cancelled, [[fetchData, [1]]], "middlewares are notified");
+
+      promise.catch((error) => {
+        tt.equal(error.message, "Action has been cancelled!", "promise is rejected");
+      });
+
+      resolve();
+      setTimeout(() => {
+        tt.deepEqual(store.getState(), { loading: true }, "changes made after cancel are not applied");
+
+        promise.cancel();
+        tt.equal(cancelled.length, 1, "can only cancel once");
+
+        store.setState({});
+        tt.deepEqual(store.getState(), {}, "store can still be used");
+      });
+    });
+  });
+
+  t.test("rejects cancelled action even if it never settles", (tt) => {
+    tt.plan(1);
+
+    const store = createStore({});
+    const promise = store.dispatch(() => new Promise(() => {}));
+
+    setTimeout(() => {
+      promise.cancel();
+      promise.catch((error) => tt.equal(error.message, "Action has been cancelled!"));
+    });
+  });
+
+  t.test("does nothing if cancelled after action is done", async (tt) => {
+    const cancelled = [];
+    const store = createStore({ count: 0 });
+    store.addMiddlewares(() => ({
+      cancelled: (action) => cancelled.push(action),
+    }));
+    const promise = store.dispatch((state) => { state.count++; });
+    await promise;
+    promise.cancel();
+    tt.deepEqual(cancelled, [], "middlewares are not notified");
+    tt.equal(await promise, undefined, "promise stays resolved");
+    tt.end();
+  });
+
   t.test("notifies subscribed listeners on change", (tt) => {
     tt.plan(2);
 
@@ -103,6 +302,141 @@ test("store", (t) => {
     setTimeout(() => tt.equal(notified, "selector2"));
   });
 
+  t.test("only removes unsubscribed registration of same selector", (tt) => {
+    tt.plan(1);
+
+    let notified = 0;
+    const selector = () => notified++;
+
+    const store = createStore({});
+    const unsub = store.subscribe(selector);
+    store.subscribe(selector);
+    unsub();
+
+    store.dispatch((state) => state.changed = true);
+    setTimeout(() => tt.equal(notified, 1));
+  });
+
+  t.test("notifies listener when selected value changes", (tt) => {
+    tt.plan(1);
+
+    const calls = [];
+
+    const store = createStore({ count: 0, other: 0 });
+    store.subscribe(state => state.count, (next, prev) => calls.push([next, prev]));
+
+    store.dispatch((state) => { state.other++; });
+    setTimeout(() => {
+      store.dispatch((state) => { state.count++; });
+      setTimeout(() => tt.deepEqual(calls, [[1, 0]], "only called when selected value changes"));
+    });
+  });
+
+  t.test("notifies listener using custom equality function", (tt) => {
+    tt.plan(2);
+
+    const calls = [];
+    const shallowEqual = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+    const store = createStore({ items: [{ id: 1 }], other: 0 });
+    store.subscribe(
+      state => state.items.map(item => item.id),
+      (next, prev) => calls.push([next, prev]),
+      shallowEqual
+    );
+    store.subscribe(
+      state => state.items.map(item => item.id),
+      (next) => calls.push(next),
+      { isEqual: shallowEqual, immediate: true }
+    );
+    tt.deepEqual(calls, [[1]], "can be called immediately");
+
+    store.dispatch((state) => { state.other++; });
+    store.dispatch((state) => { state.items.push({ id: 2 }); });
+    setTimeout(() => tt.deepEqual(calls, [[1], [[1, 2], [1]], [1, 2]]));
+  });
+
+  t.test("notifies path subscriptions only when path changes", (tt) => {
+    tt.plan(3);
+
+    const calls = [];
+    const record = (name) => (next, prev) => calls.push([name, next, prev]);
+
+    const store = createStore({
+      users: { byId: { a: { name: "A" }, b: { name: "B" } } },
+      tags: new Map([["x", 1]]),
+      list: [1, 2],
+    });
+    store.subscribe(["users", "byId", "a"], record("a"));
+    store.subscribe(["users", "byId", "b", "name"], record("b"));
+    store.subscribe(["tags", "x"], record("x"));
+    store.subscribe(["list", 1], record("1"));
+    const unsub = store.subscribe(["users"], record("users"));
+    unsub();
+
+    store.dispatch((state) => { state.users.byId.b.name = "BB"; });
+    setTimeout(() => {
+      tt.deepEqual(calls, [["b", "BB", "B"]], "only notifies subscriptions of changed path");
+
+      calls.length = 0;
+      store.dispatch((state) => { state.users.byId = { a: { name: "AA" } }; });
+      store.dispatch((state) => { state.tags.set("x", 2); });
+      store.dispatch((state) => { state.list[1] = 3; });
+      setTimeout(() => {
+        tt.deepEqual(calls, [
+          ["a", { name: "AA" }, { name: "A" }],
+          ["b", undefined, "BB"],
+          ["x", 2, 1],
+          ["1", 3, 2],
+        ], "notifies subscriptions below changed path");
+
+        calls.length = 0;
+        store.setState({ users: { byId: { a: { name: "AA" } } } });
+        setTimeout(() => tt.deepEqual(calls, [
+          ["a", { name: "AA" }, { name: "AA" }],
+          ["x", undefined, 2],
+          ["1", undefined, 3],
+        ], "notifies when whole state is replaced"));
+      });
+    });
+  });
+
+  t.test("notifies subscriptions of array length when items are added or removed", async (tt) => {
+    const lengths = [];
+    const store = createStore({ todos: ["a"] });
+    store.subscribe(["todos", "length"], (next, prev) => lengths.push([next, prev]));
+
+    store.dispatch((state) => { state.todos.push("b"); });
+    await tick();
+    store.dispatch((state) => { state.todos.push("c", "d"); });
+    await tick();
+    store.dispatch((state) => { state.todos.pop(); });
+    await tick();
+    tt.deepEqual(lengths, [[2, 1], [4, 2], [3, 4]]);
+    tt.end();
+  });
+
+  t.test("does not call selectors of other paths", (tt) => {
+    tt.plan(2);
+
+    const store = createStore({ a: 0, b: 0 });
+    let listened = 0;
+    store.subscribe(["a"], () => listened++);
+    tt.throws(() => store.subscribe(["a"]), /Listener is required to subscribe to a path!/);
+
+    // subscribing many paths should not slow down changes of another path
+    const unsubs = [];
+    let called = 0;
+    for (let i = 0; i < 100; i++) {
+      unsubs.push(store.subscribe(["b", "items", i], () => called++));
+    }
+    store.dispatch((state) => { state.a++; });
+    setTimeout(() => {
+      unsubs.forEach(unsub => unsub());
+      tt.deepEqual({ listened, called }, { listened: 1, called: 0 });
+    });
+  });
+
   t.test("batches actions dispatched in same sync execution", (tt) => {
     tt.plan(1);
 
@@ -297,6 +631,56 @@ test("store", (t) => {
     });
   })
 
+  t.test("calls middleware's dispatched synchronously when dispatching", (tt) => {
+    tt.plan(3);
+
+    const middlewareCalls = [];
+
+    const store = createStore();
+    store.addMiddlewares(() => ({
+      dispatched(action, args) {
+        middlewareCalls.push(["dispatched", action.name, args]);
+      },
+      execute(action, args, next) {
+        middlewareCalls.push(["execute", action.name, args]);
+        next(action, args);
+      }
+    }));
+
+    const action = function action(state, value) { state.value = value; };
+    store.dispatch(action, 1);
+    tt.deepEqual(middlewareCalls, [["dispatched", "action", [1]]], "called before executed");
+
+    setTimeout(() => {
+      tt.deepEqual(middlewareCalls.map(([type]) => type), ["dispatched", "execute"]);
+      tt.equal(middlewareCalls[0][2], middlewareCalls[1][2], "same args passed to execute");
+    });
+  })
+
+  t.test("calls middleware's committed for every change committed", async (tt) => {
+    const middlewareCalls = [];
+
+    const store = createStore({ count: 0 });
+    store.addMiddlewares(() => ({
+      patched() {
+        middlewareCalls.push("patched");
+      },
+      committed() {
+        middlewareCalls.push(["committed", store.getState().count]);
+      }
+    }));
+
+    await store.dispatch((state) => { state.count = 1; });
+    tt.deepEqual(middlewareCalls, ["patched", ["committed", 1]], "after patched");
+
+    store.setState({ count: 2 });
+    store.applyPatches([{ op: "replace", path: ["count"], value: 3 }]);
+    await store.dispatch(() => {});
+    tt.deepEqual(middlewareCalls.slice(2), [["committed", 2], ["committed", 3]],
+      "changes bypassing middlewares too, nothing if not changed");
+    tt.end();
+  });
+
   t.test("middleware can stop action dispatching in execute", (tt) => {
     tt.plan(2);
 
@@ -694,8 +1078,450 @@ test("store", (t) => {
     });
   });
 
+  t.test("reports patches of committed changes to middlewares", (tt) => {
+    tt.plan(4);
+
+    const calls = [];
+
+    const store = createStore({ todos: [{ done: false }], tags: new Map() });
+    store.addMiddlewares(() => ({
+      patched(action, args, patches, inversePatches) {
+        calls.push({ action, args, patches, inversePatches });
+      }
+    }));
+
+    let testResolve;
+    const testPromise = new Promise(r => testResolve = r);
+
+    function complete(state, index) {
+      state.todos[index].done = true;
+      state.tags.set("done", index);
+      setTimeout(() => {
+        delete state.todos;
+        setTimeout(testResolve);
+      });
+    }
+
+    store.dispatch(complete, 0);
+
+    testPromise.then(() => {
+      tt.deepEqual(calls.map(c => [c.action, c.args]), [[complete, [0]], [complete, [0]]]);
+      tt.deepEqual(calls[0].patches, [
+        { op: "replace", path: ["todos", "0", "done"], value: true },
+        { op: "add", path: ["tags", "done"], value: 0 },
+      ], "reports patches of sync mutations");
+      tt.deepEqual(calls[0].inversePatches, [
+        { op: "remove", path: ["tags", "done"] },
+        { op: "replace", path: ["todos", "0", "done"], value: false },
+      ], "reports inverse patches in the order to be applied");
+      tt.deepEqual(calls[1].patches, [
+        { op: "remove", path: ["todos"] },
+      ], "reports patches of async mutations separately");
+    });
+  });
+
+  t.test("does not report patches of discarded async mutations", (tt) => {
+    tt.plan(1);
+
+    const patched = [];
+
+    const store = createStore();
+    store.addMiddlewares(() => ({
+      asyncExecuted() {
+        // discard by not calling next()
+      },
+      patched(_, __, patches) {
+        patched.push(patches);
+      }
+    }));
+
+    store.dispatch((state) => {
+      state.sync = true;
+      setTimeout(() => state.async = true);
+    });
+
+    setTimeout(() => setTimeout(() => tt.deepEqual(patched, [
+      [{ op: "add", path: ["sync"], value: true }]
+    ])));
+  });
+
+  t.test("can apply patches to undo and redo changes", (tt) => {
+    tt.plan(4);
+
+    const recorded = [];
+
+    const init = {
+      list: [1, 2, 3],
+      map: new Map([["key", { count: 0 }]]),
+      set: new Set([{ id: 1 }]),
+      date: new Date(0),
+    };
+    const store = createStore(init);
+    store.addMiddlewares(() => ({
+      patched: (_, __, patches, inversePatches) => recorded.push({ patches, inversePatches })
+    }));
+
+    const before = store.getState();
+
+    store.dispatch((state) => {
+      state.list.shift();
+      state.list.length = 1;
+      state.map.get("key").count++;
+      state.map.set("new", true);
+      state.set.values().next().value.id = 2;
+      state.date.setTime(1000);
+    });
+
+    setTimeout(() => {
+      const after = store.getState();
+      const [{ patches, inversePatches }] = recorded;
+
+      store.applyPatches(inversePatches);
+      tt.deepEqual(toNative(store.getState()), toNative(before), "can undo changes");
+
+      store.applyPatches(patches);
+      tt.deepEqual(toNative(store.getState()), toNative(after), "can redo changes");
+      tt.deepEqual(toNative(after), {
+        list: [2],
+        map: new Map([["key", { count: 1 }], ["new", true]]),
+        set: new Set([{ id: 2 }]),
+        date: new Date(1000),
+      });
+      tt.equal(recorded.length, 1, "does not report patches applied");
+    });
+  });
+
+  t.test("can revert changes keeping changes made after them", async (tt) => {
+    const recorded = [];
+    const store = createStore({ count: 0, list: [] });
+    store.addMiddlewares(() => ({
+      patched: (_, __, patches, inversePatches) => recorded.push({ patches, inversePatches })
+    }));
+
+    await store.dispatch((state) => {
+      state.count++;
+      state.list.push("a");
+    });
+    await store.dispatch((state) => {
+      state.count += 10;
+      state.list.push("b");
+    });
+
+    const [{ inversePatches }, { patches }] = recorded;
+    store.applyPatches(inversePatches, { rebase: [patches] });
+    tt.deepEqual(store.getState(), { count: 11, list: ["b"] });
+
+    store.applyPatches([], { rebase: [recorded[0].patches] });
+    tt.deepEqual(store.getState(), { count: 1, list: ["b", "a"] }, "items appended are not set over others");
+    tt.end();
+  });
+
+  t.test("applies all patches or none", (tt) => {
+    tt.plan(2);
+
+    const store = createStore({ key: "value" });
+    const state = store.getState();
+
+    tt.throws(() => store.applyPatches([
+      { op: "replace", path: ["key"], value: "changed" },
+      { op: "add", path: ["unknown", "key"], value: true },
+    ]), /Can not apply patch to path: unknown\/key/);
+    tt.equal(store.getState(), state, "state is not changed");
+  });
+
+  t.test("transaction commits all changes at once", (tt) => {
+    tt.plan(3);
+
+    const notified = [];
+
+    const store = createStore({ todos: [] });
+    store.subscribe(state => notified.push(state.todos.length));
+
+    const addTodo = (state, text) => state.todos.push({ text });
+
+    const result = store.transaction((state) => {
+      addTodo(state, "first");
+      addTodo(state, "second");
+      return "result";
+    });
+
+    tt.equal(result, "result", "returns value returned by action");
+    tt.deepEqual(store.getState(), { todos: [{ text: "first" }, { text: "second" }] }, "commits immediately");
+    setTimeout(() => tt.deepEqual(notified, [2], "notifies subscribers once"));
+  });
+
+  t.test("transaction rolls back all changes if action throws", (tt) => {
+    tt.plan(4);
+
+    const notified = [];
+    const patched = [];
+
+    const store = createStore({ count: 0 });
+    store.subscribe(state => notified.push(state));
+    store.addMiddlewares(() => ({
+      patched: (_, __, patches) => patched.push(patches),
+    }));
+
+    const state = store.getState();
+
+    tt.throws(() => store.transaction((state) => {
+      state.count++;
+      state.nested = { changed: true };
+      throw new Error("failed");
+    }), /failed/, "rethrows error from action");
+    tt.equal(store.getState(), state, "state is not changed");
+
+    setTimeout(() => {
+      tt.deepEqual(notified, [], "does not notify subscribers");
+      tt.deepEqual(patched, [], "does not report patches");
+    });
+  });
+
+  t.test("transaction rolls back async changes if returned promise rejects", (tt) => {
+    tt.plan(3);
+
+    const patched = [];
+
+    const store = createStore({ count: 0, other: 0 });
+    store.addMiddlewares(() => ({
+      patched: (_, __, patches) => patched.push(patches),
+    }));
+
+    let reject;
+    const promise = new Promise((_, r) => reject = r);
+
+    const result = store.transaction((state) => {
+      state.count++;
+      return promise.catch((error) => {
+        state.count++;
+        throw error;
+      });
+    });
+
+    store.dispatch((state) => { state.other++; });
+
+    setTimeout(() => {
+      reject(new Error("async failed"));
+      result.catch((error) => {
+        tt.equal(error.message, "async failed", "rejects with error");
+        tt.deepEqual(store.getState(), { count: 0, other: 1 }, "rolls back only changes of transaction");
+        tt.deepEqual(patched.pop(), [
+          { op: "replace", path: ["count"], value: 1 },
+          { op: "replace", path: ["count"], value: 0 },
+        ], "reports changes rolled back");
+      });
+    });
+  });
+
+  t.test("transaction rollback keeps changes of other actions to same array", async (tt) => {
+    const store = createStore({ list: [] });
+    let reject;
+    const result = store.transaction(async (state) => {
+      state.list.push("tx");
+      await new Promise((_, r) => reject = r);
+    });
+    await store.dispatch((state) => { state.list.push("other"); });
+    tt.deepEqual(store.getState().list, ["tx", "other"]);
+
+    reject(new Error("failed"));
+    await result.catch(() => {});
+    tt.deepEqual(store.getState().list, ["other"], "changes of other actions are rebased");
+
+    // can't be rebased if state is set directly, reverted as recorded then
+    const result2 = store.transaction(async (state) => {
+      state.list.push("tx");
+      await new Promise((_, r) => reject = r);
+    });
+    store.setState({ list: [...store.getState().list, "set"] });
+    reject(new Error("failed"));
+    await result2.catch(() => {});
+    tt.deepEqual(store.getState().list, ["other"],
+      "length is restored as recorded, so items set after the ones of transaction are removed too");
+    tt.end();
+  });
+
+  t.test("middleware can stop transaction", (tt) => {
+    tt.plan(2);
+
+    const store = createStore({});
+    store.addMiddlewares(() => ({
+      execute() {
+        // stop by not calling next
+      }
+    }));
+
+    tt.equal(store.transaction((state) => state.changed = true), undefined);
+    tt.deepEqual(store.getState(), {});
+  });
+
+  t.test("flushes pending actions, commits and notifications", async (tt) => {
+    const store = createStore({ count: 0 }, { scheduler: "manual" });
+    const notified = [];
+    store.subscribe(state => state.count, (count) => {
+      notified.push(count);
+      // dispatched by listener, also flushed
+      count === 1 && store.dispatch((state) => { state.count = 10; });
+    });
+
+    let proxy;
+    const promise = store.dispatch((state) => { proxy = state; state.count++; });
+    await tick();
+    tt.equal(store.getState().count, 0, "manual scheduler does not trigger actions");
+
+    store.flush();
+    tt.equal(store.getState().count, 10, "triggers pending actions");
+    tt.deepEqual(notified, [1, 10], "notifies subscribers");
+    tt.equal(await promise, undefined, "resolves dispatched action");
+
+    proxy.count = 20;
+    await tick();
+    tt.equal(store.getState().count, 10, "manual scheduler does not commit async mutations");
+    store.flush();
+    tt.equal(store.getState().count, 20, "commits async mutations");
+    tt.deepEqual(notified, [1, 10, 20]);
+
+    store.flush();
+    tt.deepEqual(notified, [1, 10, 20], "does nothing when nothing is pending");
+  });
+
+  t.test("supports different schedulers", async (tt) => {
+    const notified = [];
+    const store = createStore({ count: 0 }, { scheduler: "sync" });
+    store.subscribe(state => state.count, (count) => notified.push(count));
+
+    store.dispatch((state) => {
+      state.count++;
+      // run after current action instead of nested
+      store.dispatch((s) => { s.count *= 10; });
+      tt.equal(state.count, 1, "nested action is not run in the middle");
+    });
+    tt.equal(store.getState().count, 10, "sync scheduler triggers actions immediately");
+    tt.deepEqual(notified, [1, 10], "sync scheduler notifies immediately");
+
+    const tasks = [];
+    const custom = createStore({ count: 0 }, {
+      scheduler: { actions: "sync", notifications: (task) => tasks.push(task) },
+    });
+    const counts = [];
+    custom.subscribe(state => counts.push(state.count));
+    custom.dispatch((state) => { state.count++; });
+    custom.dispatch((state) => { state.count++; });
+    tt.equal(custom.getState().count, 2, "actions and notifications can use different schedulers");
+    tt.equal(tasks.length, 2, "calls custom scheduler");
+    tasks.forEach(task => task());
+    tt.deepEqual(counts, [2], "only notifies once for latest state");
+
+    const macro = createStore({ count: 0 }, { scheduler: "macrotask" });
+    macro.dispatch((state) => { state.count++; });
+    await Promise.resolve();
+    tt.equal(macro.getState().count, 0, "macrotask scheduler does not run in microtask");
+    await tick();
+    tt.equal(macro.getState().count, 1, "macrotask scheduler runs later");
+
+    tt.throws(() => createStore({}, { scheduler: "unknown" }), /Unknown scheduler: unknown/);
+  });
+
+  t.test("registers and unregisters modules at runtime", async (tt) => {
+    const store = createStore({ app: { ready: true } });
+
+    let proxy;
+    store.dispatch((state) => { proxy = state; });
+    await tick();
+    proxy.app.ready = false; // pending async mutation
+
+    const calls = [];
+    const todos = store.registerModule("todos", {
+      initialState: { items: [] },
+      middlewares: [() => ({
+        execute(action, args, next) {
+          calls.push(action.name);
+          next(action, args);
+        },
+        destroy() {
+          calls.push("destroy");
+        },
+      })],
+      actions: {
+        add(state, item) {
+          state.items.push(item);
+        },
+      },
+    });
+    tt.deepEqual(store.getState(), { app: { ready: false }, todos: { items: [] } },
+      "adds state of module and keeps pending changes");
+    tt.throws(() => store.registerModule("todos"), /Module "todos" has already been registered!/);
+
+    const pending = store.dispatch(function setReady(state) { state.app.ready = true; });
+    await todos.actions.add("item");
+    await pending;
+    tt.deepEqual(todos.getState(), { items: ["item"] }, "binds actions to module");
+    tt.deepEqual(calls, ["setReady", "add"], "adds middlewares of module");
+    tt.equal(store.getState().app.ready, true, "pending actions are kept");
+
+    store.unregisterModule("todos");
+    tt.deepEqual(store.getState(), { app: { ready: true } }, "removes state of module");
+    tt.deepEqual(calls, ["setReady", "add", "destroy"], "removes middlewares of module");
+    await store.dispatch(() => {});
+    tt.equal(calls.length, 3, "middlewares of module are not called any more");
+    store.unregisterModule("todos"); // does nothing
+
+    store.setState({ app: {}, restored: { count: 1 } });
+    store.registerModule("restored", { initialState: { count: 0 } });
+    tt.deepEqual(store.getState().restored, { count: 1 }, "keeps existing state");
+  });
+
+  t.test("migrates state of old versions when set", async (tt) => {
+    const migrations = {
+      1: (state) => ({ ...state, count: Number(state.count) }),
+    };
+    const store = createStore({ count: "1", [versionKey]: 0 }, { version: 1, migrations });
+    tt.deepEqual(store.getState(), { count: 1, [versionKey]: 1 }, "migrates initial state");
+
+    store.setState({ count: "2", [versionKey]: 0 });
+    tt.deepEqual(store.getState(), { count: 2, [versionKey]: 1 }, "migrates new state");
+    tt.deepEqual(store.migrate({ count: "3", [versionKey]: 0 }), { count: 3, [versionKey]: 1 },
+      "can migrate state for middlewares");
+
+    const pending = store.dispatch((state) => { state.count++; });
+    tt.throws(() => store.setState({ [versionKey]: 2 }), /State version 2 is newer than store version 1!/);
+    await pending;
+    tt.deepEqual(store.getState(), { count: 3, [versionKey]: 1 }, "nothing is changed if migration fails");
+  });
+
+  t.test("defines actions with types", async (tt) => {
+    const store = createStore({ todos: [], count: 0 });
+    const todos = store.defineActions({
+      add(state, text) {
+        state.todos.push(text);
+      },
+      reset(state) {
+        state.todos = [];
+      },
+    }, { namespace: "todos" });
+    const counter = store.defineActions({
+      reset(state) {
+        state.count = 0;
+      },
+    }, { namespace: "counter" });
+
+    tt.equal(todos.add.type, "todos/add", "type is namespaced");
+    tt.equal(todos.add.action.name, "todos/add", "action is named by type");
+    tt.equal(store.getAction("todos/add"), todos.add.action, "action can be found by type");
+    tt.equal(store.getAction("counter/reset"), counter.reset.action, "same names in different namespaces");
+    tt.equal(store.getAction("unknown"), undefined);
+
+    tt.deepEqual(await todos.add("todo"), undefined, "dispatcher returns promise of dispatched action");
+    await store.dispatch(store.getAction("todos/add"), "another");
+    tt.deepEqual(store.getState().todos, ["todo", "another"]);
+
+    tt.throws(() => store.defineActions({ add() {} }, { namespace: "todos" }), /Action "todos\/add" has already been defined!/);
+    tt.throws(() => store.defineActions({ one() {}, two: "two" }), /Action "two" is not a function!/);
+    tt.equal(store.getAction("one"), undefined, "nothing is defined if any is invalid");
+    tt.equal(store.defineActions({ one() {} }).one.type, "one", "type is the key without namespace");
+  });
+
   t.test("can not be used after calling destroy", (tt) => {
-    tt.plan(7);
+    tt.plan(14);
 
     const store = createStore({});
 
@@ -716,6 +1542,13 @@ test("store", (t) => {
       tt.throws(() => store.setState({}), error);
       tt.throws(() => store.getState(noop), error);
       tt.throws(() => store.addMiddlewares(() => {}), error);
+      tt.throws(() => store.applyPatches([]), error);
+      tt.throws(() => store.transaction(noop), error);
+      tt.throws(() => store.flush(), error);
+      tt.throws(() => store.registerModule("module"), error);
+      tt.throws(() => store.unregisterModule("module"), error);
+      tt.throws(() => store.defineActions({}), error);
+      tt.throws(() => store.getAction("type"), error);
 
       // can call again
       store.destroy();
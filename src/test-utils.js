@@ -0,0 +1,11 @@
+// Helpers shared by tests
+import { createStore } from "./store/index.js";
+
+// wait ms, a tick if not given, e.g. for actions dispatched to be done
+export const tick = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function createStoreWith(initState, ...middlewares) {
+  const store = createStore(initState);
+  store.addMiddlewares(...middlewares);
+  return store;
+}
@@ -1,16 +1,39 @@
 
 export type Selector<T, V> = (state: T) => V;
 
-export type Action<T> = (state: T, ...args: unknown[]) => void;
-export type Dispatch<T> = (action: Action<T>, ...args: unknown[]) => void;
+export type ActionContext = {
+  signal?: AbortSignal;
+}
+
+export type Action<T> = (this: ActionContext, state: T, ...args: unknown[]) => any;
+
+export type Dispatched<R> = Promise<Awaited<R>> & {
+  cancel: () => void;
+}
+
+export type Dispatch<T> = <R>(
+  action: (this: ActionContext, state: T, ...args: unknown[]) => R,
+  ...args: unknown[]
+) => Dispatched<R>;
+
+export type Patch = {
+  op: "add" | "replace" | "remove";
+  path: unknown[];
+  value?: unknown;
+}
 
 export type StoreBasic<T> = {
   dispatch: Dispatch<T>;
   getState: () => T;
   setState: (state: T) => void;
+  migrate: (state: unknown) => T;
+  applyPatches: (patches: Patch[], options?: { rebase?: Patch[][] }) => void;
+  getAction: (type: string) => Action<T> | undefined;
 }
 
 export type Middleware<T> = (store: StoreBasic<T>) => {
+  dispatched?: (action: Action<T>, args: unknown[]) => void;
+
   execute?: (
     action: Action<T>,
     args: unknown[],
@@ -23,14 +46,113 @@ export type Middleware<T> = (store: StoreBasic<T>) => {
     next: () => void
   ) => void;
 
+  cancelled?: (action: Action<T>, args: unknown[]) => void;
+
+  patched?: (
+    action: Action<T>,
+    args: unknown[],
+    patches: Patch[],
+    inversePatches: Patch[]
+  ) => void;
+
+  committed?: (patches: Patch[], inversePatches: Patch[]) => void;
+
   destroy?: () => void;
 }
 
 export type DefaultState = Record<keyof any, any>;
 
+export type IsEqual<V> = (a: V, b: V) => boolean;
+
+export type SubscribeOptions<V> = {
+  isEqual?: IsEqual<V>;
+  immediate?: boolean;
+}
+
+export type Subscribe<T> = {
+  <V>(
+    selector: Selector<T, V>,
+    listener?: (next: V, prev: V | undefined) => void,
+    options?: IsEqual<V> | SubscribeOptions<V>
+  ): (() => void);
+  <V = unknown>(
+    path: unknown[],
+    listener: (next: V, prev: V | undefined) => void,
+    options?: IsEqual<V> | SubscribeOptions<V>
+  ): (() => void);
+};
+
+export type Scheduler =
+  | "microtask"
+  | "macrotask"
+  | "animationFrame"
+  | "manual"
+  | "sync"
+  | ((task: () => void) => void);
+
+export type Migrations = Record<number, (state: any) => any>;
+
+export type StoreOptions = {
+  // either one for both, or separately for action batching and selector notification
+  scheduler?: Scheduler | { actions?: Scheduler; notifications?: Scheduler };
+  // current version of state, and migrations keyed by version they upgrade to
+  version?: number;
+  migrations?: Migrations;
+}
+
+export type Slice<T> = {
+  readonly path: readonly unknown[];
+  dispatch: Dispatch<T>;
+  getState: () => T;
+  setState: (state: T) => void;
+  select: <V>(selector: Selector<T, V>) => V;
+  subscribe: Subscribe<T>;
+  transaction: <R>(action: (state: T, ...args: unknown[]) => R, ...args: unknown[]) => R | undefined;
+  slice: SliceOf<T>;
+}
+
+export type SliceOf<T> = {
+  <K extends keyof T>(key: K): Slice<T[K]>;
+  <S = unknown>(path: unknown[]): Slice<S>;
+}
+
+export type ModuleOptions<S, T> = {
+  initialState?: S;
+  middlewares?: Middleware<T>[];
+  actions?: Record<string, (this: ActionContext, state: S, ...args: any[]) => any>;
+}
+
+export type Module<S, A> = Slice<S> & {
+  readonly name: string;
+  readonly actions: { [K in keyof A]: (...args: unknown[]) => Dispatched<unknown> };
+}
+
+export type ActionDefinitions<T> = Record<string, (this: ActionContext, state: T, ...args: any[]) => any>;
+
+// dispatchers of actions defined, dispatching the action with args given
+export type Dispatchers<D> = {
+  readonly [K in keyof D]: D[K] extends (state: any, ...args: infer A) => infer R
+    ? ((...args: A) => Dispatched<R>) & { readonly type: string; readonly action: D[K] }
+    : never;
+}
+
+export type DefineActionsOptions = {
+  // prefix of types, e.g. "todos" for "todos/add"
+  namespace?: string;
+}
+
 export type Store<T> = StoreBasic<T> & {
   destroy: () => void;
+  flush: () => void;
+  slice: SliceOf<T>;
+  registerModule: <S = DefaultState, O extends ModuleOptions<S, T> = ModuleOptions<S, T>>(
+    name: string,
+    module?: O
+  ) => Module<S, NonNullable<O["actions"]>>;
+  unregisterModule: (name: string) => void;
+  defineActions: <D extends ActionDefinitions<T>>(definitions: D, options?: DefineActionsOptions) => Dispatchers<D>;
   select: <V>(selector: Selector<T, V>) => V;
-  subscribe: <V>(selector: Selector<T, V>) => (() => void);
+  subscribe: Subscribe<T>;
+  transaction: <R>(action: (state: T, ...args: unknown[]) => R, ...args: unknown[]) => R | undefined;
   addMiddlewares: (...middlewares: Middleware<T>[]) => void;
 };
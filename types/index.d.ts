@@ -1,3 +1,125 @@
-import { Store, DefaultState } from "./commons";
+import { Store, Selector, DefaultState, StoreOptions, Migrations } from "./commons";
 
-export function createStore<T = DefaultState>(initState?: T): Store<T>;
+export function createStore<T = DefaultState>(initState?: T, options?: StoreOptions): Store<T>;
+
+export type SelectorStats = {
+  calls: number;
+  hits: number;
+  recomputations: number;
+  dependencies: number;
+}
+
+export type MemoizedSelector<T, V> = Selector<T, V> & {
+  readonly stats: SelectorStats;
+  reset: () => void;
+}
+
+export const versionKey: "_version";
+
+export type Classes = (new (...args: any[]) => any)[] | Record<string, new (...args: any[]) => any>;
+
+export function serialize(state: unknown, space?: string | number): string;
+export function deserialize<T = unknown>(text: string, options?: { classes?: Classes }): T;
+
+export function serializeForScript(state: unknown): string;
+export function renderStateScript<T>(store: Store<T>, options?: { id?: string; nonce?: string }): string;
+export function readState<T = DefaultState>(options?: {
+  id?: string;
+  document?: { getElementById: (id: string) => { textContent: string | null } | null };
+  classes?: Classes;
+}): T | undefined;
+
+export function assertMigrations(
+  options: { version: number; migrations?: Migrations },
+  snapshots: Record<number, unknown>
+): Record<number, unknown>;
+
+export function createSelector<T = DefaultState, V = unknown>(selector: Selector<T, V>): MemoizedSelector<T, V>;
+
+export type ResourceStatus = "idle" | "loading" | "success" | "error";
+
+export type ResourceEntry<D> = {
+  readonly status: ResourceStatus;
+  readonly data: D | undefined;
+  readonly error: unknown;
+  readonly fetching: boolean;
+  readonly stale: boolean;
+  readonly updatedAt: number;
+  readonly tags: readonly string[];
+}
+
+export type ResourceOptions<D, A> = {
+  tags?: string[] | ((data: D, arg: A) => string[]);
+  staleTime?: number;
+}
+
+export type Resource<D, A> = {
+  readonly name: string;
+  key: (arg: A) => string;
+  get: (arg: A) => ResourceEntry<D>;
+  select: (arg: A) => Selector<any, ResourceEntry<D>>;
+  fetch: (arg: A, options?: { force?: boolean }) => Promise<D>;
+  refetch: (arg: A) => Promise<D>;
+  subscribe: (arg: A, listener?: (entry: ResourceEntry<D>, prev: ResourceEntry<D>) => void) => () => void;
+}
+
+export type Resources = {
+  define: <D, A = void>(
+    name: string,
+    fetcher: (this: { signal: AbortSignal }, arg: A) => D | Promise<D>,
+    options?: ResourceOptions<D, A>
+  ) => Resource<D, A>;
+  invalidate: (tags: string | string[]) => void;
+  destroy: () => void;
+}
+
+export function createResources<T>(
+  store: Store<T>,
+  options?: { name?: string; staleTime?: number; gcTime?: number }
+): Resources;
+
+export function invalidates<F extends (state: any, ...args: any[]) => any>(
+  tags: string | string[] | ((...args: F extends (state: any, ...args: infer A) => any ? A : never) => string | string[]),
+  action: F
+): F;
+
+export type EntityId = string | number;
+
+export type EntityState<E, Id extends EntityId = EntityId> = {
+  ids: Id[];
+  byId: Record<Id, E>;
+}
+
+export type Update<E, Id extends EntityId = EntityId> = { id: Id; changes: Partial<E> };
+
+export type EntitySelectors<T, E, Id extends EntityId = EntityId> = {
+  selectIds: (state: T) => Id[];
+  selectEntities: (state: T) => Record<Id, E>;
+  selectAll: MemoizedSelector<T, E[]>;
+  selectTotal: (state: T) => number;
+  selectById: (state: T, id: Id) => E | undefined;
+}
+
+export type EntityAdapter<E, Id extends EntityId = EntityId> = {
+  readonly selectId: (entity: E) => Id;
+  readonly sortComparer?: (a: E, b: E) => number;
+  getInitialState: <X extends object = {}>(extra?: X) => EntityState<E, Id> & X;
+  addOne: (state: EntityState<E, Id>, entity: E) => void;
+  addMany: (state: EntityState<E, Id>, entities: E[]) => void;
+  setOne: (state: EntityState<E, Id>, entity: E) => void;
+  setMany: (state: EntityState<E, Id>, entities: E[]) => void;
+  setAll: (state: EntityState<E, Id>, entities: E[]) => void;
+  updateOne: (state: EntityState<E, Id>, update: Update<E, Id>) => void;
+  updateMany: (state: EntityState<E, Id>, updates: Update<E, Id>[]) => void;
+  upsertOne: (state: EntityState<E, Id>, entity: E) => void;
+  upsertMany: (state: EntityState<E, Id>, entities: E[]) => void;
+  removeOne: (state: EntityState<E, Id>, id: Id) => void;
+  removeMany: (state: EntityState<E, Id>, ids: Id[]) => void;
+  removeAll: (state: EntityState<E, Id>) => void;
+  getSelectors: <T = EntityState<E, Id>>(selectState?: (state: T) => EntityState<E, Id>) => EntitySelectors<T, E, Id>;
+}
+
+export function createEntityAdapter<E, Id extends EntityId = EntityId>(options?: {
+  selectId?: (entity: E) => Id;
+  sortComparer?: (a: E, b: E) => number;
+}): EntityAdapter<E, Id>;
@@ -0,0 +1,21 @@
+import { Action, Middleware } from "../commons";
+
+// type (or name) of action, an action, a dispatcher returned by defineActions(), or an array of them
+type Pattern<T> = string | Action<T> | { action: Action<T> } | Array<string | Action<T> | { action: Action<T> }>;
+
+type Worker<T> = Action<T>;
+
+type WatcherOptions = {
+  // called with errors of worker, logged by default
+  onError?: (error: unknown) => void;
+}
+
+type Watcher<T> = (runner: unknown) => unknown;
+
+export function takeEvery<T>(pattern: Pattern<T>, worker: Worker<T>, options?: WatcherOptions): Watcher<T>
+export function takeLatest<T>(pattern: Pattern<T>, worker: Worker<T>, options?: WatcherOptions): Watcher<T>
+export function takeLeading<T>(pattern: Pattern<T>, worker: Worker<T>, options?: WatcherOptions): Watcher<T>
+export function debounce<T>(ms: number, pattern: Pattern<T>, worker: Worker<T>, options?: WatcherOptions): Watcher<T>
+export function throttle<T>(ms: number, pattern: Pattern<T>, worker: Worker<T>, options?: WatcherOptions): Watcher<T>
+
+export default function effectsMiddleware<T>(...watchers: Array<Watcher<T> | Watcher<T>[]>): Middleware<T>
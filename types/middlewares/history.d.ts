@@ -0,0 +1,17 @@
+import { Action, Middleware } from "../commons";
+
+type HistoryOptions<T> = {
+  maxDepth?: number;
+  filter?: (action: Action<T>, args: unknown[]) => boolean;
+  groupBy?: (action: Action<T>, args: unknown[]) => unknown;
+}
+
+type HistoryMiddleware<T> = Middleware<T> & {
+  readonly canUndo: boolean;
+  readonly canRedo: boolean;
+  undo: () => void;
+  redo: () => void;
+  clear: () => void;
+}
+
+export default function historyMiddleware<T>(options?: HistoryOptions<T>): HistoryMiddleware<T>
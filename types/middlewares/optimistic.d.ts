@@ -0,0 +1,6 @@
+import { Action, Middleware } from "../commons";
+
+// changes made by action are rolled back if it throws or the promise returned rejects
+export function optimistic<A extends Action<any>>(action: A): A
+
+export default function optimisticMiddleware<T>(): Middleware<T>
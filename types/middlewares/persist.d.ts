@@ -0,0 +1,32 @@
+import { Middleware } from "../commons";
+
+type MaybePromise<T> = T | Promise<T>;
+
+export type PersistStorage = {
+  getItem: (key: string) => MaybePromise<string | null>;
+  setItem: (key: string, value: string) => MaybePromise<void>;
+  removeItem: (key: string) => MaybePromise<void>;
+}
+
+type PersistOptions = {
+  key?: string;
+  storage?: PersistStorage;
+  paths?: unknown[][];
+  throttle?: number;
+  serialize?: (value: unknown) => string;
+  deserialize?: (value: string) => unknown;
+  onError?: (error: unknown) => void;
+}
+
+type PersistMiddleware<T> = Middleware<T> & {
+  readonly isRehydrated: boolean;
+  readonly rehydrated: Promise<void>;
+  flush: () => Promise<void>;
+  purge: () => Promise<void>;
+}
+
+export default function persistMiddleware<T>(options?: PersistOptions): PersistMiddleware<T>
+
+export function memoryStorage(items?: Map<string, string>): PersistStorage;
+export function webStorage(storage?: Pick<Storage, "getItem" | "setItem" | "removeItem">): PersistStorage;
+export function fileStorage(dir: string): PersistStorage;
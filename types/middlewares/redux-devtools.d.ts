@@ -1,3 +1,29 @@
-import { Middleware } from "../commons";
+import { Action, Middleware } from "../commons";
 
-export default function reduxDevtoolsMiddleware<T>(reduxDevToolsOptions?: Record<string, any>): Middleware<T>
+import { Classes } from "../index";
+
+// names or RegExps matching type of actions
+type ActionPatterns = string | RegExp | Array<string | RegExp>;
+
+type ReduxDevToolsOptions<T> = Record<string, any> & {
+  // classes of instances in state, to restore state sent back by extension
+  classes?: Classes;
+  // actions can be dispatched by name from the extension
+  actions?: Record<string, Action<T>>;
+  // state sent to extension, id is the id of action in extension
+  stateSanitizer?: (state: T, id: number) => unknown;
+  // args sent to extension
+  argsSanitizer?: (args: unknown[], action: Action<T>) => unknown[];
+  // actions to send, all if not specified
+  allowlist?: ActionPatterns;
+  // actions not to send
+  denylist?: ActionPatterns;
+  // max number of actions kept, older ones are committed, 50 by default
+  maxAge?: number;
+  // whether to capture stack trace of dispatching, or a function returning it
+  trace?: boolean | ((action: Action<T>, args: unknown[]) => string);
+  // max number of stack frames captured, 10 by default
+  traceLimit?: number;
+}
+
+export default function reduxDevtoolsMiddleware<T>(reduxDevToolsOptions?: ReduxDevToolsOptions<T>): Middleware<T>
@@ -0,0 +1,24 @@
+import { Action, Middleware } from "../commons";
+
+// type (or name) of action, an action, a dispatcher returned by defineActions(), or an array of them
+type Pattern<T> = string | Action<T> | { action: Action<T> } | Array<string | Action<T> | { action: Action<T> }>;
+
+type Effect<Type extends string, P> = { readonly "@@restato/effect": true; readonly type: Type } & P;
+
+export type CallEffect = Effect<"call", { fn: (...args: any[]) => any; args: unknown[] }>;
+export type PutEffect = Effect<"put", { action: Action<any>; args: unknown[] }>;
+export type SelectEffect = Effect<"select", { selector: (state: any, ...args: any[]) => any; args: unknown[] }>;
+export type DelayEffect = Effect<"delay", { ms: number; value: unknown }>;
+export type RaceEffect = Effect<"race", { effects: unknown[] | Record<string, unknown> }>;
+export type AllEffect = Effect<"all", { effects: unknown[] | Record<string, unknown> }>;
+export type TakeEffect = Effect<"take", { pattern: Pattern<any> }>;
+
+export function call<A extends unknown[]>(fn: (this: { signal: AbortSignal }, ...args: A) => any, ...args: A): CallEffect
+export function put<T>(action: Action<T>, ...args: unknown[]): PutEffect
+export function select<T, A extends unknown[]>(selector?: (state: T, ...args: A) => any, ...args: A): SelectEffect
+export function delay(ms: number, value?: unknown): DelayEffect
+export function race(effects: unknown[] | Record<string, unknown>): RaceEffect
+export function all(effects: unknown[] | Record<string, unknown>): AllEffect
+export function take<T>(pattern: Pattern<T>): TakeEffect
+
+export default function sagaMiddleware<T>(): Middleware<T>
@@ -0,0 +1,20 @@
+import { Middleware } from "../commons";
+import { Classes } from "../index";
+
+export type SyncChannel = {
+  postMessage: (message: string) => void;
+  addEventListener?: (type: "message", listener: (event: { data: string }) => void) => void;
+  removeEventListener?: (type: "message", listener: (event: { data: string }) => void) => void;
+  onmessage?: ((event: { data: string }) => void) | null;
+}
+
+type SyncOptions = {
+  channel?: string | SyncChannel;
+  paths?: unknown[][];
+  mode?: "patches" | "snapshots";
+  id?: string;
+  classes?: Classes;
+  onError?: (error: unknown) => void;
+}
+
+export default function syncMiddleware<T>(options?: SyncOptions): Middleware<T>
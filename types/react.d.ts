@@ -1,4 +1,4 @@
-import { Store, Selector, Dispatch, DefaultState } from "./commons";
+import { Store, Selector, Dispatch, DefaultState, StoreOptions } from "./commons";
 
 type UseSelector<T> = <V>(selector: Selector<T, V>) => V;
 
@@ -6,8 +6,12 @@ type ReactStore<T> = Store<T> & {
   useSelector: UseSelector<T>;
 }
 
-export function createStore<T = DefaultState>(initState?: T): ReactStore<T>;
+export function createStore<T = DefaultState>(initState?: T, options?: StoreOptions): ReactStore<T>;
 
 export const store: ReactStore<DefaultState>;
 export const dispatch: Dispatch<DefaultState>;
 export const useSelector: UseSelector<DefaultState>;
+
+export function StoreProvider<T>(props: { store: Store<T>; children?: any }): any;
+export function useStore<T = DefaultState>(): Store<T>;
+export function useDispatch<T = DefaultState>(): Dispatch<T>;
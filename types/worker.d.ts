@@ -0,0 +1,48 @@
+import { Store, Selector, Subscribe, DefaultState } from "./commons";
+import { Classes } from "./index";
+
+type Port = {
+  postMessage: (message: string) => void;
+};
+
+type Host = {
+  destroy: () => void;
+}
+
+export function hostStore<T>(
+  store: Store<T>,
+  port: Port,
+  options?: {
+    actions?: Record<string, (state: T, ...args: any[]) => any>;
+    classes?: Classes;
+  }
+): Host;
+
+export type ReadOnlySlice<T> = {
+  readonly path: readonly unknown[];
+  getState: () => T;
+  select: <V>(selector: Selector<T, V>) => V;
+  subscribe: Subscribe<T>;
+  slice: ReadOnlySliceOf<T>;
+}
+
+export type ReadOnlySliceOf<T> = {
+  <K extends keyof T>(key: K): ReadOnlySlice<T[K]>;
+  <S = unknown>(path: unknown[]): ReadOnlySlice<S>;
+}
+
+export type RemoteStore<T> = {
+  readonly ready: Promise<void>;
+  getState: () => T;
+  select: <V>(selector: Selector<T, V>) => V;
+  subscribe: Subscribe<T>;
+  slice: ReadOnlySliceOf<T>;
+  dispatch: <R = unknown>(name: string, ...args: unknown[]) => Promise<R> & { cancel: () => void };
+  resync: () => void;
+  destroy: () => void;
+}
+
+export function createRemoteStore<T = DefaultState>(
+  port: Port,
+  options?: { initState?: T; classes?: Classes }
+): RemoteStore<T>;